@@ -9,11 +9,25 @@
  * - Rate limiting and user management
  */
 
-import { createAIHost } from './lib/ai-host.mjs';
+import { createAIHost, MAX_QUESTION_LENGTH } from './lib/ai-host.mjs';
 import { PuzzleManager } from './lib/puzzle-manager.mjs';
-import { safeJsonParse, safeJsonStringify, safeString, generateId, createErrorResponse } from './lib/utils.mjs';
+import { createLocalJudge } from './lib/local-judge.mjs';
+import { buildAIConfig } from './config/ai-config.mjs';
+import { ANSWER_OPTIONS } from './lib/response-schema.mjs';
+import { normalizeQuestion } from './lib/question-similarity.mjs';
+import { createAnswerCache, createKVCacheStore, createDurableCacheStore } from './lib/answer-cache.mjs';
+import { safeJsonParse, safeJsonStringify, safeString, generateId, createErrorResponse, addUsage } from './lib/utils.mjs';
 import HTML from "./chat.html";
 
+// Answers a human host may give, same vocabulary as the AI host
+const HUMAN_HOST_ANSWERS = ANSWER_OPTIONS;
+
+// Number of finished games whose LLM usage is kept in the room's usage record
+const USAGE_GAME_HISTORY_LIMIT = 20;
+
+// How often cached answers kept in room storage are swept for expired entries
+const ANSWER_CACHE_SWEEP_INTERVAL = 24 * 60 * 60 * 1000;
+
 // `handleErrors()` is a little utility function that can wrap an HTTP request handler in a
 // try/catch and return errors to the client. You probably wouldn't want to use this in production
 // code but it is convenient when debugging and iterating.
@@ -148,11 +162,55 @@ async function handleApiRequest(path, request, env) {
       return roomObject.fetch(newUrl, request);
     }
 
+    case "puzzles":
+      // Request for `/api/puzzles` or `/api/puzzles/meta`. The puzzle catalog is the same for
+      // every room, so this is answered here without involving a Durable Object.
+      return handlePuzzleRequest(path.slice(1), request);
+
     default:
       return new Response("Not found", {status: 404});
   }
 }
 
+// `/api/puzzles` lists the puzzles players can choose from, filtered by the `difficulty`,
+// `category`, `tag` (may be repeated) and `keyword` query parameters. Entries never include the
+// truth, keywords or hints. `/api/puzzles/meta` lists the values those filters accept, plus
+// per-value counts.
+async function handlePuzzleRequest(path, request) {
+  if (request.method != "GET") {
+    return new Response("Method not allowed", {status: 405});
+  }
+
+  let puzzleManager = new PuzzleManager();
+  let body;
+  if (!path[0]) {
+    let params = new URL(request.url).searchParams;
+    let puzzles = puzzleManager.getCatalog({
+      difficulty: params.get("difficulty") || undefined,
+      category: params.get("category") || undefined,
+      tags: params.getAll("tag").filter(Boolean),
+      keyword: params.get("keyword") || undefined
+    });
+    body = { puzzles: puzzles, total: puzzles.length };
+  } else if (path[0] == "meta" && !path[1]) {
+    body = {
+      categories: puzzleManager.getCategories(),
+      tags: puzzleManager.getTags(),
+      difficulties: puzzleManager.getDifficulties(),
+      statistics: puzzleManager.getStatistics()
+    };
+  } else {
+    return new Response("Not found", {status: 404});
+  }
+
+  return new Response(JSON.stringify(body), {
+    headers: {
+      "Content-Type": "application/json;charset=UTF-8",
+      "Access-Control-Allow-Origin": "*"
+    }
+  });
+}
+
 // =======================================================================================
 // The ChatRoom Durable Object Class
 
@@ -169,22 +227,69 @@ export class ChatRoom {
     this.sessions = new Map();
     this.lastTimestamp = 0;
     
-    // Initialize game states (will be done async in first fetch call)
+    // Set while the current player's question is being answered (in memory only)
+    this.turnInProgress = false;
+    
+    // Set while a final answer is being judged (in memory only)
+    this.finalAnswerInProgress = false;
+    
+    // Standalone AI host questions waiting to be answered, the first one is being answered
+    // (in memory only, the object doesn't hibernate while the queue is being worked through)
+    this.questionQueue = [];
+    this.questionQueueRunning = false;
+    
+    // Initialize game states (will be done async on first fetch or WebSocket event)
     this.gameStateInitialized = false;
     
     // Restore WebSocket sessions from hibernation
     this.restoreWebSocketSessions();
   }
 
+  /**
+   * Make sure game state has been loaded from storage. After hibernation the object is
+   * recreated and WebSocket events can arrive before any new session is opened.
+   */
+  async ensureGameStateInitialized() {
+    if (!this.gameStateInitialized) {
+      await this.initializeGameStates();
+      this.gameStateInitialized = true;
+    }
+  }
+
   /**
    * Initialize all game state variables
    */
   async initializeGameStates() {
-    // Try to restore game state from storage first
-    await this.restoreGameState();
-    
     // Initialize puzzle manager
     this.puzzleManager = new PuzzleManager();
+    
+    // Answers questions from the puzzle itself when the AI host can't be used
+    this.localJudge = createLocalJudge();
+    
+    // Game rules (turn time limit etc.) share the AI config so they can be set from env
+    const aiConfig = buildAIConfig(this.env);
+    this.gameConfig = aiConfig.game;
+    this.usageConfig = aiConfig.usage;
+    this.maxQueuedQuestions = aiConfig.game.maxQueuedQuestionsPerPlayer;
+    this.recordLLMScript = aiConfig.llm.recordScript;
+    
+    // Cached answers are shared by every room through KV when ANSWER_CACHE is bound,
+    // otherwise each room keeps its own in Durable Object storage
+    this.answerCache = null;
+    if (aiConfig.cache.enabled) {
+      const store = this.env.ANSWER_CACHE
+        ? createKVCacheStore(this.env.ANSWER_CACHE)
+        : createDurableCacheStore(this.storage);
+      this.answerCache = createAnswerCache(store, aiConfig.cache);
+    }
+    
+    // Restore game state only now: a restored AI host picks up the answer cache built above
+    await this.restoreGameState();
+    
+    // Restore pending timers (confirmation expiry, turn advance, game duration limit)
+    await this.restoreScheduledTasks();
+    
+    await this.restoreUsage();
   }
 
   /**
@@ -202,6 +307,7 @@ export class ChatRoom {
         this.turtleSoupParticipants = state.turtleSoupParticipants || [];
         this.turtleSoupInitiator = state.turtleSoupInitiator || null;
         this.currentTurnIndex = state.currentTurnIndex || 0;
+        this.turnDeadline = state.turnDeadline || null;
         this.currentPuzzle = state.currentPuzzle || null;
         
         // Restore AI host state
@@ -209,14 +315,35 @@ export class ChatRoom {
         this.aiHostInitiator = state.aiHostInitiator || null;
         this.aiHostParticipants = state.aiHostParticipants || [];
         
+        // Restore requests to join a game in progress
+        this.pendingJoinRequests = state.pendingJoinRequests || [];
+        
+        // Restore human host mode
+        this.humanHost = state.humanHost || null;
+        this.pendingHostQuestion = state.pendingHostQuestion || null;
+        
         // Restore user scores
         this.userScores = new Map(state.userScores || []);
-        this.pendingConfirmations = new Map();
         
-        // If AI host was active, need to recreate AI host instance
+        // Restore pending turtle soup confirmations
+        this.pendingConfirmations = new Map(
+          (state.pendingConfirmations || []).map(([initiator, confirmation]) => [initiator, {
+            confirmedUsers: new Set(confirmation.confirmedUsers || []),
+            originalParticipants: confirmation.originalParticipants || []
+          }])
+        );
+        
+        // If AI host was active, recreate the AI host instance with its session
+        this.aiHost = null;
         if (this.aiHostActive && state.aiHostData) {
-          this.aiHost = createAIHost(this.env);
-          // Note: May need to restore AI host internal state if needed
+          this.aiHost = this.createRoomAIHost();
+          if (!this.aiHost.restoreState(state.aiHostData)) {
+            console.warn('[ChatRoom] AI host session could not be restored, leaving AI host mode');
+            this.aiHost = null;
+            this.aiHostActive = false;
+            this.aiHostInitiator = null;
+            this.aiHostParticipants = [];
+          }
         }
         
         console.log('[ChatRoom] Game state restored successfully');
@@ -239,6 +366,7 @@ export class ChatRoom {
     this.turtleSoupParticipants = [];
     this.turtleSoupInitiator = null;
     this.currentTurnIndex = 0;
+    this.turnDeadline = null;
     this.pendingConfirmations = new Map();
     this.userScores = new Map();
     this.currentPuzzle = null;
@@ -248,6 +376,13 @@ export class ChatRoom {
     this.aiHostInitiator = null;
     this.aiHostParticipants = [];
     this.aiHost = null;
+    
+    // Players who asked to join a game in progress, waiting for the initiator
+    this.pendingJoinRequests = [];
+    
+    // Human host mode: the participant who knows the truth and the question awaiting them
+    this.humanHost = null;
+    this.pendingHostQuestion = null;
   }
 
   /**
@@ -260,11 +395,20 @@ export class ChatRoom {
         turtleSoupParticipants: this.turtleSoupParticipants,
         turtleSoupInitiator: this.turtleSoupInitiator,
         currentTurnIndex: this.currentTurnIndex,
+        turnDeadline: this.turnDeadline,
         currentPuzzle: this.currentPuzzle,
         aiHostActive: this.aiHostActive,
         aiHostInitiator: this.aiHostInitiator,
         aiHostParticipants: this.aiHostParticipants,
+        pendingJoinRequests: this.pendingJoinRequests,
+        humanHost: this.humanHost,
+        pendingHostQuestion: this.pendingHostQuestion,
         userScores: Array.from(this.userScores.entries()),
+        pendingConfirmations: Array.from(this.pendingConfirmations.entries()).map(([initiator, confirmation]) => [initiator, {
+          confirmedUsers: Array.from(confirmation.confirmedUsers),
+          originalParticipants: confirmation.originalParticipants
+        }]),
+        aiHostData: this.aiHostActive && this.aiHost ? this.aiHost.serializeState() : null,
         timestamp: Date.now()
       };
       
@@ -275,6 +419,280 @@ export class ChatRoom {
     }
   }
 
+  // LLM usage and budgets
+  //
+  // Every successful LLM call made for this room (AI host answers, verification, final answer
+  // judging, human host suggestions) is added to today's and the all-time totals under
+  // 'llmUsage'. The per-game totals live in the AI host session and are appended to the room's
+  // game history when the game ends. "Today" is the UTC date, so daily budgets reset at 00:00 UTC.
+
+  /**
+   * Create an AI host whose LLM usage is recorded against this room
+   * @returns {AIHost} AI host instance
+   */
+  createRoomAIHost() {
+    const aiHost = createAIHost(this.env);
+    aiHost.setUsageListener(usage => this.recordLLMUsage(usage));
+    aiHost.setAnswerCache(this.answerCache);
+    return aiHost;
+  }
+
+  /**
+   * Restore the room's usage record from storage
+   */
+  async restoreUsage() {
+    try {
+      const usage = await this.storage.get('llmUsage');
+      this.llmUsage = usage ? JSON.parse(usage) : null;
+    } catch (error) {
+      console.error('[ChatRoom] Failed to restore LLM usage:', error);
+      this.llmUsage = null;
+    }
+    
+    if (!this.llmUsage) {
+      this.llmUsage = { day: this.getUsageDay(), today: null, total: null, games: [] };
+    }
+  }
+
+  /**
+   * Persist the room's usage record
+   */
+  async saveUsage() {
+    try {
+      await this.storage.put('llmUsage', JSON.stringify(this.llmUsage));
+    } catch (error) {
+      console.error('[ChatRoom] Failed to save LLM usage:', error);
+    }
+  }
+
+  /**
+   * @returns {string} Current usage day (UTC date, YYYY-MM-DD)
+   */
+  getUsageDay() {
+    return new Date().toISOString().slice(0, 10);
+  }
+
+  /**
+   * Start a new day's totals once the UTC date has changed
+   */
+  rollUsageDay() {
+    const day = this.getUsageDay();
+    if (this.llmUsage.day !== day) {
+      this.llmUsage.day = day;
+      this.llmUsage.today = null;
+    }
+  }
+
+  /**
+   * Add one LLM call to the room totals. Called synchronously by the AI host; the write is not
+   * awaited, but the Durable Object output gate holds outgoing messages until it completes.
+   * @param {Object} usage - `{ provider, model, promptTokens, completionTokens, totalTokens, cost }`
+   */
+  recordLLMUsage(usage) {
+    this.rollUsageDay();
+    this.llmUsage.today = addUsage(this.llmUsage.today, usage);
+    this.llmUsage.total = addUsage(this.llmUsage.total, usage);
+    this.saveUsage();
+  }
+
+  /**
+   * Append the current AI host game's usage to the room's game history
+   */
+  async recordGameUsage() {
+    const session = this.aiHost?.currentSession;
+    if (!session?.usage) {
+      return;
+    }
+    
+    this.llmUsage.games = [
+      ...(this.llmUsage.games || []),
+      {
+        sessionId: session.sessionId,
+        puzzleId: session.puzzle?.id || null,
+        puzzleTitle: session.puzzle?.title || null,
+        startTime: session.startTime,
+        endTime: Date.now(),
+        questionCount: session.questionCount,
+        ...session.usage
+      }
+    ].slice(-USAGE_GAME_HISTORY_LIMIT);
+    await this.saveUsage();
+  }
+
+  /**
+   * Check today's usage against the configured daily budgets
+   * @returns {string|null} Why the budget is exhausted, or null if the AI host may be used
+   */
+  getExhaustedBudget() {
+    this.rollUsageDay();
+    const today = this.llmUsage.today;
+    const { dailyTokenBudget, dailyCostBudget } = this.usageConfig || {};
+    
+    if (dailyTokenBudget > 0 && (today?.totalTokens || 0) >= dailyTokenBudget) {
+      return `今天这个房间的AI用量已达上限（${today.totalTokens}/${dailyTokenBudget} tokens）`;
+    }
+    if (dailyCostBudget > 0 && (today?.cost || 0) >= dailyCostBudget) {
+      return `今天这个房间的AI费用已达上限（$${today.cost.toFixed(2)}/$${dailyCostBudget}）`;
+    }
+    return null;
+  }
+
+  /**
+   * Usage report for the admin endpoint
+   * @returns {Object} Today's and all-time totals, budgets, the current game and recent games
+   */
+  getUsageReport() {
+    this.rollUsageDay();
+    return {
+      day: this.llmUsage.day,
+      today: this.llmUsage.today,
+      total: this.llmUsage.total,
+      budget: {
+        dailyTokenBudget: this.usageConfig?.dailyTokenBudget || 0,
+        dailyCostBudget: this.usageConfig?.dailyCostBudget || 0,
+        exhausted: this.getExhaustedBudget()
+      },
+      currentGame: this.aiHostActive && this.aiHost ? this.aiHost.getUsage() : null,
+      games: this.llmUsage.games || []
+    };
+  }
+
+  /**
+   * LLM exchanges recorded by this room's AI hosts (only kept in memory, so a recording covers
+   * the games played since the object was last woken up)
+   * @returns {Object|null} Scripted-provider fixture, or null if recording is off
+   */
+  getRecordedScript() {
+    const scripts = [this.aiHost, this.suggestionHost]
+      .map(host => host?.getRecordedScript())
+      .filter(Boolean);
+    if (scripts.length === 0) {
+      return this.recordLLMScript ? { rules: [] } : null;
+    }
+    return { rules: scripts.flatMap(script => script.rules) };
+  }
+
+  // Scheduled tasks
+  //
+  // In-memory `setTimeout` callbacks are lost when the object hibernates, so every timed game
+  // event is stored as a task with an absolute deadline. A single Durable Object alarm is kept
+  // pointed at the earliest deadline and `alarm()` dispatches whatever is due.
+
+  /**
+   * Restore scheduled tasks from storage
+   */
+  async restoreScheduledTasks() {
+    try {
+      const tasks = await this.storage.get('scheduledTasks');
+      this.scheduledTasks = tasks ? JSON.parse(tasks) : [];
+    } catch (error) {
+      console.error('[ChatRoom] Failed to restore scheduled tasks:', error);
+      this.scheduledTasks = [];
+    }
+  }
+
+  /**
+   * Persist scheduled tasks and point the alarm at the earliest deadline
+   */
+  async saveScheduledTasks() {
+    try {
+      await this.storage.put('scheduledTasks', JSON.stringify(this.scheduledTasks));
+      
+      if (this.scheduledTasks.length > 0) {
+        const nextRunAt = Math.min(...this.scheduledTasks.map(task => task.runAt));
+        await this.storage.setAlarm(nextRunAt);
+      } else {
+        await this.storage.deleteAlarm();
+      }
+    } catch (error) {
+      console.error('[ChatRoom] Failed to save scheduled tasks:', error);
+    }
+  }
+
+  /**
+   * Schedule a task to run after a delay. A task with the same ID replaces the old one.
+   * @param {string} type - Task type, see runScheduledTask()
+   * @param {number} delayMs - Delay in milliseconds
+   * @param {Object} payload - Task data (must be JSON serializable)
+   * @param {string} id - Optional stable ID used for cancellation
+   */
+  async scheduleTask(type, delayMs, payload = {}, id = null) {
+    const taskId = id || generateId(12, `${type}_`);
+    this.scheduledTasks = this.scheduledTasks.filter(task => task.id !== taskId);
+    this.scheduledTasks.push({
+      id: taskId,
+      type: type,
+      runAt: Date.now() + delayMs,
+      payload: payload
+    });
+    
+    console.log(`[ChatRoom] Scheduled task ${taskId} (${type}) in ${delayMs}ms`);
+    await this.saveScheduledTasks();
+  }
+
+  /**
+   * Cancel scheduled tasks by ID or type
+   * @param {Object} filter - `{ id }` or `{ types: [...] }`
+   */
+  async cancelTasks({ id = null, types = [] } = {}) {
+    const remaining = this.scheduledTasks.filter(task =>
+      task.id !== id && !types.includes(task.type)
+    );
+    
+    if (remaining.length !== this.scheduledTasks.length) {
+      this.scheduledTasks = remaining;
+      await this.saveScheduledTasks();
+    }
+  }
+
+  // The system calls alarm() when the deadline set with `storage.setAlarm()` is reached. The
+  // object may have been evicted in the meantime, so state is reloaded before dispatching.
+  async alarm() {
+    await this.ensureGameStateInitialized();
+    
+    const now = Date.now();
+    const dueTasks = this.scheduledTasks
+      .filter(task => task.runAt <= now)
+      .sort((a, b) => a.runAt - b.runAt);
+    
+    this.scheduledTasks = this.scheduledTasks.filter(task => task.runAt > now);
+    await this.saveScheduledTasks();
+    
+    for (const task of dueTasks) {
+      try {
+        await this.runScheduledTask(task);
+      } catch (error) {
+        console.error(`[ChatRoom] Scheduled task ${task.id} failed:`, error);
+      }
+    }
+  }
+
+  /**
+   * Dispatch a due task to its handler
+   * @param {Object} task - Scheduled task
+   */
+  async runScheduledTask(task) {
+    const handlers = {
+      confirmationTimeout: () => this.handleConfirmationTimeout(task.payload),
+      aiResponse: () => this.deliverAIResponse(task.payload),
+      turnAdvance: () => this.broadcastTurnChange(),
+      turnTimeout: () => this.handleTurnTimeout(task.payload),
+      gameDurationLimit: () => this.handleGameDurationLimit(task.payload),
+      participantGrace: () => this.handleParticipantGraceExpired(task.payload),
+      hostHandoff: () => this.handleHostHandoff(task.payload),
+      answerCacheSweep: () => this.sweepAnswerCache()
+    };
+    
+    const handler = handlers[task.type];
+    if (!handler) {
+      console.warn(`[ChatRoom] Unknown scheduled task type: ${task.type}`);
+      return;
+    }
+    
+    console.log(`[ChatRoom] Running scheduled task ${task.id} (${task.type})`);
+    await handler();
+  }
+
   /**
    * Restore WebSocket sessions from hibernation
    */
@@ -336,6 +754,29 @@ export class ChatRoom {
           return new Response(null, { status: 101, webSocket: pair[0] });
         }
 
+        case "/usage":
+        case "/llm-script": {
+          // Admin-only endpoints, disabled unless an ADMIN_TOKEN secret is configured:
+          // `/api/room/<name>/usage` reports the room's LLM usage and `/api/room/<name>/llm-script`
+          // exports the LLM exchanges recorded with LLM_RECORD_SCRIPT as a scripted-provider fixture.
+          const token = this.env.ADMIN_TOKEN;
+          if (!token || request.headers.get("Authorization") !== `Bearer ${token}`) {
+            return new Response("Forbidden", {status: 403});
+          }
+          if (request.method != "GET") {
+            return new Response("Method not allowed", {status: 405});
+          }
+
+          await this.ensureGameStateInitialized();
+          const body = url.pathname == "/usage" ? this.getUsageReport() : this.getRecordedScript();
+          if (!body) {
+            return new Response("LLM recording is not enabled", {status: 404});
+          }
+          return new Response(JSON.stringify(body, null, 2), {
+            headers: {"Content-Type": "application/json;charset=UTF-8"}
+          });
+        }
+
         default:
           return new Response("Not found", {status: 404});
       }
@@ -345,10 +786,7 @@ export class ChatRoom {
   // handleSession() implements our WebSocket-based chat protocol.
   async handleSession(webSocket, ip) {
     // Ensure game state is initialized before handling any sessions
-    if (!this.gameStateInitialized) {
-      await this.initializeGameStates();
-      this.gameStateInitialized = true;
-    }
+    await this.ensureGameStateInitialized();
 
     // Accept our end of the WebSocket. This tells the runtime that we'll be terminating the
     // WebSocket in JavaScript, not sending it elsewhere.
@@ -374,8 +812,9 @@ export class ChatRoom {
     }
 
     // Load the last 100 messages from the chat history stored on disk, and send them to the
-    // client.
-    let storage = await this.storage.list({reverse: true, limit: 100});
+    // client. Chat messages are keyed by ISO timestamp, which sorts before the alphabetic keys
+    // used for game state, so `end` keeps those (and the puzzle truth inside them) out.
+    let storage = await this.storage.list({reverse: true, limit: 100, end: "A"});
     let backlog = [...storage.values()];
     backlog.reverse();
     backlog.forEach(value => {
@@ -400,6 +839,9 @@ export class ChatRoom {
         return;
       }
 
+      // The object may have just woken from hibernation
+      await this.ensureGameStateInitialized();
+
       // Check rate limiting
       if (!session.limiter.checkLimit()) {
         this.sendError(webSocket, 'Your IP is being rate-limited, please try again later.');
@@ -461,6 +903,10 @@ export class ChatRoom {
     // Notify others of user join
     this.broadcast({ joined: session.name });
     
+    // A participant coming back within the grace period keeps their place
+    await this.handleParticipantReconnect(session.name);
+    await this.handleInitiatorReconnect(session.name);
+    
     // Send current game state if requested
     if (data.requestGameState && (this.turtleSoupActive || this.aiHostActive)) {
       const currentGameState = {
@@ -469,14 +915,34 @@ export class ChatRoom {
         turtleSoupParticipants: this.turtleSoupParticipants,
         turtleSoupInitiator: this.turtleSoupInitiator,
         currentTurnIndex: this.currentTurnIndex,
+        turnDeadline: this.turnDeadline,
+        serverTime: Date.now(),
         aiHostActive: this.aiHostActive,
         aiHostInitiator: this.aiHostInitiator,
         aiHostParticipants: this.aiHostParticipants,
-        currentPuzzle: this.currentPuzzle
+        humanHost: this.humanHost,
+        disconnectedPlayers: this.getDisconnectedParticipants(),
+        currentPuzzle: this.toPublicPuzzle(this.currentPuzzle),
+        keyFacts: this.aiHostActive && this.aiHost ? this.aiHost.getKeyFactSummary() : null
       };
       
       console.log(`[ChatRoom] Sending game state sync to ${userName}:`, currentGameState);
       webSocket.send(safeJsonStringify(currentGameState));
+      
+      // Join requests that arrived while the initiator was away
+      if (userName === this.turtleSoupInitiator) {
+        this.pendingJoinRequests.forEach(player => {
+          webSocket.send(safeJsonStringify({ turtleSoupJoinRequest: true, player: player }));
+        });
+      }
+      
+      // The human host gets the truth back, plus any question still waiting for them
+      if (userName === this.humanHost) {
+        webSocket.send(safeJsonStringify(this.getHumanHostTruthMessage()));
+        if (this.pendingHostQuestion) {
+          webSocket.send(safeJsonStringify({ humanHostQuestion: true, ...this.pendingHostQuestion }));
+        }
+      }
     }
     
     webSocket.send(safeJsonStringify({ ready: true }));
@@ -490,10 +956,20 @@ export class ChatRoom {
       turtleSoupRequest: () => this.handleTurtleSoupRequest(session, data),
       turtleSoupConfirm: () => this.handleTurtleSoupConfirmation(session, data),
       turtleSoupTurnChange: () => this.handleTurtleSoupTurnChange(session, data),
+      turtleSoupSkipTurn: () => this.handleTurtleSoupSkipTurn(session, data),
+      turtleSoupPassTurn: () => this.handleTurtleSoupPassTurn(session, data),
+      turtleSoupJoinRequest: () => this.handleTurtleSoupJoinRequest(session, data),
+      turtleSoupJoinDecision: () => this.handleTurtleSoupJoinDecision(session, data),
+      transferHost: () => this.handleTransferHost(session, data),
       turtleSoupEnd: () => this.handleTurtleSoupEnd(session, data),
       turtleSoupPuzzleSelected: () => this.handleTurtleSoupPuzzleSelected(session, data),
+      turtleSoupHumanHost: () => this.handleTurtleSoupHumanHost(session, data),
+      humanHostAnswer: () => this.handleHumanHostAnswer(session, data),
+      humanHostSuggestion: () => this.handleHumanHostSuggestion(session, data),
       aiHostRequest: () => this.handleAIHostRequest(session, data),
-      aiHostEnd: () => this.handleAIHostEnd(session, data)
+      aiHostEnd: () => this.handleAIHostEnd(session, data),
+      aiHostFinalAnswer: () => this.handleAIHostFinalAnswer(session, data),
+      aiHostBuyHint: () => this.handleAIHostBuyHint(session, data)
     };
 
     for (const [type, handler] of Object.entries(handlers)) {
@@ -527,6 +1003,14 @@ export class ChatRoom {
     };
     this.lastTimestamp = messageData.timestamp;
 
+    // Questions for the AI host have a tighter limit than chat; refuse them here so a long
+    // question neither waits in the queue nor costs the player their turn
+    const forAIHost = this.aiHostActive && (!messageData.turtleSoupMessage || (messageData.aiHostQuestion && this.turtleSoupActive));
+    if (forAIHost && message.length > MAX_QUESTION_LENGTH) {
+      this.sendError(webSocket, `问题太长，请限制在${MAX_QUESTION_LENGTH}字符内`);
+      return;
+    }
+
     // Handle turtle soup with AI host mode
     if (messageData.turtleSoupMessage && messageData.aiHostQuestion && this.turtleSoupActive && this.aiHostActive) {
       console.log(`[TurtleSoup-AI] Processing AI question from ${session.name}: "${message}"`);
@@ -536,8 +1020,8 @@ export class ChatRoom {
 
     // Handle AI host mode (standalone)
     if (this.aiHostActive && !messageData.turtleSoupMessage) {
-      console.log(`[AI Host] Processing question from ${session.name}: "${message}"`);
-      await this.processAIHostQuestion(session.name, message);
+      console.log(`[AI Host] Queueing question from ${session.name}: "${message}"`);
+      await this.enqueueAIHostQuestion(session, message);
       return;
     }
 
@@ -567,54 +1051,172 @@ export class ChatRoom {
 
     console.log(`[TurtleSoup] Processing turn for ${session.name}`);
     
-    // Generate AI response and update scores
-    const aiResponse = this.generateAIResponse(messageData.message);
-    this.updateUserScore(session.name, aiResponse.score);
+    // A human host answers instead of the automatic responder
+    if (this.humanHost) {
+      await this.askHumanHost(session.name, messageData.message);
+      return;
+    }
+    
+    // Without a puzzle there is no truth to judge against, so the question goes unanswered
+    if (!this.currentPuzzle) {
+      this.sendToUser(session.name, { error: "还没有选择题目，发起人选好题目后才能提问" });
+      this.sendToUser(this.turtleSoupInitiator, { turtleSoupPuzzleRequired: true });
+      return;
+    }
+    
+    // The AI host couldn't be started for this puzzle; judge from its truth and keywords instead
+    const judgement = this.localJudge.judge(this.currentPuzzle, messageData.message);
+    this.updateUserScore(session.name, judgement.score);
     
     // Advance turn
-    this.currentTurnIndex = (this.currentTurnIndex + 1) % this.turtleSoupParticipants.length;
+    this.currentTurnIndex = this.getNextTurnIndex();
+    await this.clearTurnTimer();
+    
+    // Save game state when turn changes
+    await this.saveGameState();
     
-    // Schedule AI response and turn change
-    this.scheduleAIResponse(aiResponse);
+    // Schedule the judge's response and turn change
+    await this.scheduleAIResponse(judgement);
   }
 
   /**
-   * Schedule AI response and turn change
+   * Schedule the local judge's response and turn change
    */
-  scheduleAIResponse(aiResponse) {
-    setTimeout(() => {
-      this.broadcast({
-        name: "🤖 AI主持人",
-        message: aiResponse.formatted,
-        timestamp: Math.max(Date.now(), this.lastTimestamp + 1),
-        aiResponse: true
-      });
-      
-      this.lastTimestamp = Math.max(Date.now(), this.lastTimestamp + 1);
-      
-      setTimeout(() => {
-        this.broadcast({
-          turtleSoupTurnChange: true,
-          turnIndex: this.currentTurnIndex,
-          nextPlayer: this.turtleSoupParticipants[this.currentTurnIndex],
-          userScores: Object.fromEntries(this.userScores)
-        });
-      }, 500);
-    }, 1000);
+  async scheduleAIResponse(judgement) {
+    await this.scheduleTask('aiResponse', 1000, { formatted: judgement.formatted });
   }
 
   /**
-   * Update user score
+   * Deliver a scheduled local judge response, then schedule the turn change
+   * @param {Object} payload - `{ formatted }`
    */
-  updateUserScore(userName, score) {
+  async deliverAIResponse(payload) {
+    if (!this.turtleSoupActive) {
+      return;
+    }
+    
+    this.broadcast({
+      name: "⚖️ 裁判",
+      message: payload.formatted,
+      timestamp: Math.max(Date.now(), this.lastTimestamp + 1),
+      judgeResponse: true
+    });
+    
+    this.lastTimestamp = Math.max(Date.now(), this.lastTimestamp + 1);
+    
+    await this.scheduleTask('turnAdvance', 500);
+  }
+
+  /**
+   * Start the turn timer and broadcast the current turn to everyone
+   */
+  async broadcastTurnChange() {
+    if (!this.turtleSoupActive) {
+      return;
+    }
+    
+    await this.startTurnTimer();
+    
+    this.broadcast({
+      turtleSoupTurnChange: true,
+      turnIndex: this.currentTurnIndex,
+      nextPlayer: this.turtleSoupParticipants[this.currentTurnIndex],
+      turnDeadline: this.turnDeadline,
+      serverTime: Date.now(),
+      userScores: Object.fromEntries(this.userScores)
+    });
+  }
+
+  /**
+   * Start the countdown for the current turn. Does nothing when the time limit is disabled.
+   */
+  async startTurnTimer() {
+    const limitSeconds = this.gameConfig?.turnTimeLimit || 0;
+    if (limitSeconds <= 0) {
+      this.turnDeadline = null;
+      return;
+    }
+    
+    this.turnDeadline = Date.now() + limitSeconds * 1000;
+    await this.saveGameState();
+    await this.scheduleTask('turnTimeout', limitSeconds * 1000, {
+      turnIndex: this.currentTurnIndex,
+      player: this.turtleSoupParticipants[this.currentTurnIndex]
+    }, 'turnTimeout');
+  }
+
+  /**
+   * Stop the countdown for the current turn
+   */
+  async clearTurnTimer() {
+    this.turnDeadline = null;
+    await this.cancelTasks({ id: 'turnTimeout' });
+  }
+
+  /**
+   * Skip a player whose turn timer expired
+   * @param {Object} payload - `{ turnIndex, player }` of the expired turn
+   */
+  async handleTurnTimeout(payload) {
+    const currentPlayer = this.turtleSoupParticipants[this.currentTurnIndex];
+    if (!this.turtleSoupActive || this.currentTurnIndex !== payload.turnIndex || currentPlayer !== payload.player) {
+      return; // The turn already moved on
+    }
+    
+    console.log(`[TurtleSoup] Turn timeout for ${currentPlayer}, skipping`);
+    
+    this.recordSkippedTurn(currentPlayer);
+    this.broadcast({ notice: `⏭️ ${currentPlayer} 发言超时，跳过本轮` });
+    await this.moveTurnTo(this.getNextTurnIndex());
+  }
+
+  /**
+   * Index of the player after the current one. The server is the only authority on turn
+   * order; clients never supply indices.
+   */
+  getNextTurnIndex() {
+    return (this.currentTurnIndex + 1) % this.turtleSoupParticipants.length;
+  }
+
+  /**
+   * Move the turn to a participant immediately and broadcast it
+   * @param {number} turnIndex - Index into turtleSoupParticipants
+   */
+  async moveTurnTo(turnIndex) {
+    this.currentTurnIndex = turnIndex;
+    await this.clearTurnTimer();
+    await this.cancelTasks({ types: ['turnAdvance'] });
+    await this.saveGameState();
+    await this.broadcastTurnChange();
+  }
+
+  /**
+   * Get the score entry for a user, creating it if needed
+   */
+  getUserScore(userName) {
     if (!this.userScores.has(userName)) {
-      this.userScores.set(userName, { totalScore: 0, questionCount: 0 });
+      this.userScores.set(userName, { totalScore: 0, questionCount: 0, skippedTurns: 0 });
     }
-    const userScore = this.userScores.get(userName);
+    return this.userScores.get(userName);
+  }
+
+  /**
+   * Update user score
+   */
+  updateUserScore(userName, score) {
+    const userScore = this.getUserScore(userName);
     userScore.totalScore += score;
     userScore.questionCount += 1;
   }
 
+  /**
+   * Record a turn that was skipped because the player ran out of time
+   */
+  recordSkippedTurn(userName) {
+    const userScore = this.getUserScore(userName);
+    userScore.skippedTurns = (userScore.skippedTurns || 0) + 1;
+  }
+
   /**
    * Send error message to WebSocket
    */
@@ -634,15 +1236,20 @@ export class ChatRoom {
     this.sessions.delete(webSocket);
     if (session.name) {
       this.broadcast({quit: session.name});
+      
+      // The object may have just woken from hibernation
+      await this.ensureGameStateInitialized();
+      await this.handleInitiatorDisconnect(session.name);
+      await this.handleParticipantDisconnect(session.name);
     }
   }
 
   async webSocketClose(webSocket, code, reason, wasClean) {
-    this.closeOrErrorHandler(webSocket)
+    await this.closeOrErrorHandler(webSocket)
   }
 
   async webSocketError(webSocket, error) {
-    this.closeOrErrorHandler(webSocket)
+    await this.closeOrErrorHandler(webSocket)
   }
 
   // broadcast() broadcasts a message to all clients.
@@ -680,7 +1287,7 @@ export class ChatRoom {
   }
 
   // Turtle Soup related methods
-  handleTurtleSoupRequest(session, data) {
+  async handleTurtleSoupRequest(session, data) {
     console.log(`[TurtleSoup] Request from ${data.initiator}, participants:`, data.participants);
     
     if (this.turtleSoupActive) {
@@ -716,6 +1323,7 @@ export class ChatRoom {
       originalParticipants: actualParticipants
     });
     console.log(`[TurtleSoup] Initialized confirmations for ${data.initiator} with participants:`, actualParticipants);
+    await this.saveGameState();
 
     // Broadcast the request to all participants except the initiator
     this.broadcast({
@@ -725,18 +1333,28 @@ export class ChatRoom {
     });
     
     // Set timeout for confirmation process
-    setTimeout(() => {
-      if (this.pendingConfirmations.has(data.initiator)) {
-        console.log(`[TurtleSoup] Request timeout for ${data.initiator}`);
-        this.pendingConfirmations.delete(data.initiator);
-        this.broadcast({
-          error: "海龟汤发起超时"
-        });
-      }
-    }, 30000);
+    await this.scheduleTask('confirmationTimeout', 30000, { initiator: data.initiator }, `confirmation_${data.initiator}`);
   }
 
-  async handleTurtleSoupConfirmation(session, data) {
+  /**
+   * Expire a turtle soup request that did not collect all confirmations in time
+   * @param {Object} payload - `{ initiator }`
+   */
+  async handleConfirmationTimeout(payload) {
+    if (!this.pendingConfirmations.has(payload.initiator)) {
+      return;
+    }
+    
+    console.log(`[TurtleSoup] Request timeout for ${payload.initiator}`);
+    this.pendingConfirmations.delete(payload.initiator);
+    await this.saveGameState();
+    
+    this.broadcast({
+      error: "海龟汤发起超时"
+    });
+  }
+
+  async handleTurtleSoupConfirmation(session, data) {
     console.log(`[TurtleSoup] Confirmation from ${data.user} for ${data.initiator}: ${data.confirmed}`);
     
     if (!this.pendingConfirmations.has(data.initiator)) {
@@ -752,6 +1370,8 @@ export class ChatRoom {
       // Someone rejected, cancel the whole thing
       console.log(`[TurtleSoup] ${data.user} rejected, canceling`);
       this.pendingConfirmations.delete(data.initiator);
+      await this.cancelTasks({ id: `confirmation_${data.initiator}` });
+      await this.saveGameState();
       this.broadcast({
         turtleSoupConfirm: true,
         initiator: data.initiator,
@@ -790,10 +1410,12 @@ export class ChatRoom {
     if (confirmedUsers.size === requiredConfirmations.length) {
       // All users confirmed, start the turtle soup
       console.log(`[TurtleSoup] All users confirmed, starting turtle soup`);
-      await this.startTurtleSoup(data.initiator, originalParticipants);
       this.pendingConfirmations.delete(data.initiator);
+      await this.cancelTasks({ id: `confirmation_${data.initiator}` });
+      await this.startTurtleSoup(data.initiator, originalParticipants);
     } else {
       console.log(`[TurtleSoup] Still waiting for confirmations: ${confirmedUsers.size}/${requiredConfirmations.length}`);
+      await this.saveGameState();
     }
   }
 
@@ -808,7 +1430,7 @@ export class ChatRoom {
     // Initialize user scores
     this.userScores.clear();
     participants.forEach(participant => {
-      this.userScores.set(participant, { totalScore: 0, questionCount: 0 });
+      this.userScores.set(participant, { totalScore: 0, questionCount: 0, skippedTurns: 0 });
     });
 
     // Save game state
@@ -825,34 +1447,482 @@ export class ChatRoom {
   }
 
   handleTurtleSoupTurnChange(session, data) {
-    if (!this.turtleSoupActive || session.name !== this.turtleSoupInitiator) {
-      return; // Only initiator can manage turn changes
+    // Turn order is derived on the server; client-supplied indices are never applied
+    console.warn(`[TurtleSoup] Rejected client turn change from ${session.name}:`, data.turnIndex);
+    this.sendErrorToSession(session, "发言顺序由服务器管理，请使用跳过或指定发言命令");
+  }
+
+  /**
+   * Check that a session may issue turn commands
+   * @returns {boolean} Whether the command may proceed
+   */
+  validateTurnCommand(session) {
+    if (!this.turtleSoupActive) {
+      this.sendErrorToSession(session, "海龟汤未在进行中");
+      return false;
     }
+    
+    if (session.name !== this.turtleSoupInitiator) {
+      this.sendErrorToSession(session, "只有发起人可以管理发言顺序");
+      return false;
+    }
+    
+    if (this.turnInProgress || this.pendingHostQuestion) {
+      this.sendErrorToSession(session, "当前玩家的问题正在处理中，请稍后");
+      return false;
+    }
+    
+    return true;
+  }
 
-    this.currentTurnIndex = data.turnIndex;
+  // Initiator command: skip the player whose turn it is
+  async handleTurtleSoupSkipTurn(session, data) {
+    if (!this.validateTurnCommand(session)) {
+      return;
+    }
     
-    // Broadcast turn change
+    const skippedPlayer = this.turtleSoupParticipants[this.currentTurnIndex];
+    console.log(`[TurtleSoup] ${session.name} skipped ${skippedPlayer}`);
+    
+    this.recordSkippedTurn(skippedPlayer);
+    this.broadcast({ notice: `⏭️ ${session.name} 跳过了 ${skippedPlayer} 的发言` });
+    await this.moveTurnTo(this.getNextTurnIndex());
+  }
+
+  // Initiator command: pass the turn to a specific participant
+  async handleTurtleSoupPassTurn(session, data) {
+    if (!this.validateTurnCommand(session)) {
+      return;
+    }
+    
+    const targetIndex = this.turtleSoupParticipants.indexOf(data.toPlayer);
+    if (targetIndex === -1) {
+      this.sendErrorToSession(session, "该玩家不在海龟汤参与者中");
+      return;
+    }
+    
+    if (targetIndex === this.currentTurnIndex) {
+      this.sendErrorToSession(session, `现在已经轮到 ${data.toPlayer} 发言`);
+      return;
+    }
+    
+    console.log(`[TurtleSoup] ${session.name} passed the turn to ${data.toPlayer}`);
+    
+    this.broadcast({ notice: `🔀 ${session.name} 将发言权交给了 ${data.toPlayer}` });
+    await this.moveTurnTo(targetIndex);
+  }
+
+  // Participant lifecycle
+  //
+  // A participant who disconnects keeps their place for `game.reconnectGracePeriod` seconds.
+  // Reconnecting under the same name cancels the grace task; otherwise they are dropped from
+  // the rotation when it fires. Every roster change is broadcast as `turtleSoupRosterUpdate`.
+
+  /**
+   * Whether a user currently takes part in a running game
+   */
+  isGameParticipant(userName) {
+    return (this.turtleSoupActive && this.turtleSoupParticipants.includes(userName)) ||
+      (this.aiHostActive && this.aiHostParticipants.includes(userName)) ||
+      (this.turtleSoupActive && userName === this.humanHost);
+  }
+
+  /**
+   * Whether a user still has at least one open connection
+   */
+  isUserOnline(userName) {
+    for (const session of this.sessions.values()) {
+      if (session.name === userName && !session.quit) {
+        return true;
+      }
+    }
+    return false;
+  }
+
+  /**
+   * Names of participants currently inside their reconnect grace period
+   */
+  getDisconnectedParticipants() {
+    return this.scheduledTasks
+      .filter(task => task.type === 'participantGrace')
+      .map(task => task.payload.player);
+  }
+
+  /**
+   * Broadcast the current roster after a participant change
+   * @param {string} action - disconnected | reconnected | removed | joined
+   * @param {string} player - The participant concerned
+   */
+  broadcastRosterUpdate(action, player) {
     this.broadcast({
-      turtleSoupTurnChange: true,
-      turnIndex: data.turnIndex,
-      nextPlayer: data.nextPlayer
+      turtleSoupRosterUpdate: true,
+      action: action,
+      player: player,
+      participants: this.turtleSoupParticipants,
+      aiHostParticipants: this.aiHostParticipants,
+      turnIndex: this.currentTurnIndex,
+      disconnectedPlayers: this.getDisconnectedParticipants(),
+      userScores: Object.fromEntries(this.userScores)
     });
   }
 
-  async handleTurtleSoupEnd(session, data) {
+  /**
+   * Start the grace period for a participant whose last connection closed
+   */
+  async handleParticipantDisconnect(userName) {
+    if (!this.isGameParticipant(userName) || this.isUserOnline(userName)) {
+      return;
+    }
+    
+    const graceSeconds = this.gameConfig?.reconnectGracePeriod || 0;
+    console.log(`[TurtleSoup] ${userName} disconnected, keeping their place for ${graceSeconds}s`);
+    
+    if (graceSeconds <= 0) {
+      await this.removeParticipant(userName);
+      return;
+    }
+    
+    await this.scheduleTask('participantGrace', graceSeconds * 1000, { player: userName }, `grace_${userName}`);
+    this.broadcastRosterUpdate('disconnected', userName);
+  }
+
+  /**
+   * Cancel the grace period when a participant reconnects under the same name
+   */
+  async handleParticipantReconnect(userName) {
+    if (!this.scheduledTasks.some(task => task.id === `grace_${userName}`)) {
+      return;
+    }
+    
+    console.log(`[TurtleSoup] ${userName} reconnected within the grace period`);
+    await this.cancelTasks({ id: `grace_${userName}` });
+    this.broadcastRosterUpdate('reconnected', userName);
+  }
+
+  /**
+   * Drop a participant whose grace period expired
+   * @param {Object} payload - `{ player }`
+   */
+  async handleParticipantGraceExpired(payload) {
+    if (this.isUserOnline(payload.player)) {
+      return; // Came back without a fresh setup message
+    }
+    
+    await this.removeParticipant(payload.player);
+  }
+
+  /**
+   * Remove a participant from the rotation and the AI host roster. Their score entry is kept
+   * so the end-of-game statistics still include them.
+   */
+  async removeParticipant(userName) {
+    if (!this.isGameParticipant(userName)) {
+      return;
+    }
+    
+    console.log(`[TurtleSoup] Removing ${userName} from the game`);
+    
+    // Nobody else knows the truth, so the game can't go on without its host
+    if (userName === this.humanHost) {
+      this.broadcast({ notice: `🎩 主持人 ${userName} 已离开，游戏结束` });
+      await this.endTurtleSoup();
+      return;
+    }
+    
+    // A question the departed player left with the host no longer needs an answer
+    if (this.pendingHostQuestion?.player === userName) {
+      this.pendingHostQuestion = null;
+      this.sendToUser(this.humanHost, { humanHostQuestionCancelled: true, player: userName });
+    }
+    
+    const removedIndex = this.turtleSoupParticipants.indexOf(userName);
+    const wasCurrentTurn = this.turtleSoupActive && removedIndex === this.currentTurnIndex;
+    
+    this.turtleSoupParticipants = this.turtleSoupParticipants.filter(name => name !== userName);
+    this.aiHostParticipants = this.aiHostParticipants.filter(name => name !== userName);
+    this.removeQueuedQuestions(userName);
+    
+    if (removedIndex !== -1 && removedIndex < this.currentTurnIndex) {
+      this.currentTurnIndex -= 1;
+      
+      // Keep the running turn timer pointed at the same player
+      const turnTimeout = this.scheduledTasks.find(task => task.id === 'turnTimeout');
+      if (turnTimeout) {
+        turnTimeout.payload.turnIndex = this.currentTurnIndex;
+        await this.saveScheduledTasks();
+      }
+    }
+    if (this.currentTurnIndex >= this.turtleSoupParticipants.length) {
+      this.currentTurnIndex = 0;
+    }
+    
+    // Nobody left to play
+    if (this.turtleSoupActive && this.turtleSoupParticipants.length === 0) {
+      await this.endTurtleSoup();
+      return;
+    }
+    if (!this.turtleSoupActive && this.aiHostActive && this.aiHostParticipants.length === 0) {
+      await this.endAIHostMode();
+      return;
+    }
+    
+    await this.saveGameState();
+    this.broadcastRosterUpdate('removed', userName);
+    
+    // Someone has to be able to run the game
+    if (userName === this.getGameInitiator()) {
+      await this.handleHostHandoff({ initiator: userName });
+    }
+    
+    // The departed player held the turn, hand it to whoever now sits at that index. While
+    // their question is still being answered, handleTurtleSoupAIMessage does the handoff
+    if (wasCurrentTurn && !this.turnInProgress) {
+      await this.moveTurnTo(this.currentTurnIndex);
+    }
+  }
+
+  // Initiator handoff
+  //
+  // Only the initiator can pick the puzzle, manage turns and end the game, so a room whose
+  // initiator left would be stuck. If they stay away for `game.hostHandoffTimeout` seconds the
+  // next connected participant is promoted. The initiator can also hand over at any time.
+
+  /**
+   * Initiator of the running game (turtle soup takes precedence over standalone AI host)
+   */
+  getGameInitiator() {
+    if (this.turtleSoupActive) {
+      return this.turtleSoupInitiator;
+    }
+    return this.aiHostActive ? this.aiHostInitiator : null;
+  }
+
+  /**
+   * Start the handoff countdown when the initiator's last connection closes
+   */
+  async handleInitiatorDisconnect(userName) {
+    if (userName !== this.getGameInitiator() || this.isUserOnline(userName)) {
+      return;
+    }
+    
+    const timeoutSeconds = this.gameConfig?.hostHandoffTimeout || 0;
+    console.log(`[ChatRoom] Initiator ${userName} disconnected, handing off in ${timeoutSeconds}s`);
+    
+    if (timeoutSeconds <= 0) {
+      await this.handleHostHandoff({ initiator: userName });
+      return;
+    }
+    
+    await this.scheduleTask('hostHandoff', timeoutSeconds * 1000, { initiator: userName }, 'hostHandoff');
+  }
+
+  /**
+   * Keep the initiator role when the initiator comes back in time
+   */
+  async handleInitiatorReconnect(userName) {
+    if (this.scheduledTasks.some(task => task.id === 'hostHandoff' && task.payload.initiator === userName)) {
+      console.log(`[ChatRoom] Initiator ${userName} reconnected, handoff cancelled`);
+      await this.cancelTasks({ id: 'hostHandoff' });
+    }
+  }
+
+  /**
+   * Promote the next connected participant if the initiator is still away
+   * @param {Object} payload - `{ initiator }` who disconnected
+   */
+  async handleHostHandoff(payload) {
+    if (payload.initiator !== this.getGameInitiator() || this.isUserOnline(payload.initiator)) {
+      return;
+    }
+    
+    const successor = this.findNextInitiator(payload.initiator);
+    if (!successor) {
+      // Nobody is connected right now; try again later rather than leave the game ownerless
+      const timeoutSeconds = this.gameConfig?.hostHandoffTimeout || 30;
+      console.log(`[ChatRoom] No connected participant to take over from ${payload.initiator}`);
+      await this.scheduleTask('hostHandoff', timeoutSeconds * 1000, payload, 'hostHandoff');
+      return;
+    }
+    
+    await this.setInitiator(successor, 'timeout');
+  }
+
+  /**
+   * First connected participant after the given one in rotation order
+   * @param {string} previousInitiator - Initiator being replaced
+   * @returns {string|null} Successor name
+   */
+  findNextInitiator(previousInitiator) {
+    const roster = this.turtleSoupActive ? this.turtleSoupParticipants : this.aiHostParticipants;
+    const start = roster.indexOf(previousInitiator); // -1 once they left the rotation
+    
+    for (let offset = 1; offset <= roster.length; offset++) {
+      const candidate = roster[(start + offset) % roster.length];
+      if (candidate !== previousInitiator && this.isUserOnline(candidate)) {
+        return candidate;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Make a participant the initiator of the running game and tell everyone
+   * @param {string} newInitiator - Participant taking over
+   * @param {string} reason - transfer | timeout
+   */
+  async setInitiator(newInitiator, reason) {
+    const previousInitiator = this.getGameInitiator();
+    
+    if (this.turtleSoupActive) {
+      this.turtleSoupInitiator = newInitiator;
+    }
+    if (this.aiHostActive) {
+      this.aiHostInitiator = newInitiator;
+    }
+    
+    console.log(`[ChatRoom] Initiator changed from ${previousInitiator} to ${newInitiator} (${reason})`);
+    
+    await this.cancelTasks({ id: 'hostHandoff' });
+    await this.saveGameState();
+    
+    this.broadcast({
+      hostChange: true,
+      initiator: newInitiator,
+      previousInitiator: previousInitiator,
+      reason: reason
+    });
+    
+    // Join requests are now the new initiator's to decide
+    this.pendingJoinRequests.forEach(player => {
+      this.sendToUser(newInitiator, { turtleSoupJoinRequest: true, player: player });
+    });
+  }
+
+  // Initiator command: hand the initiator role to another connected participant
+  async handleTransferHost(session, data) {
+    const initiator = this.getGameInitiator();
+    
+    if (!initiator) {
+      this.sendErrorToSession(session, "当前没有进行中的游戏");
+      return;
+    }
+    
+    if (session.name !== initiator) {
+      this.sendErrorToSession(session, "只有发起人可以移交主持权");
+      return;
+    }
+    
+    if (data.toPlayer === session.name) {
+      this.sendErrorToSession(session, "你已经是发起人");
+      return;
+    }
+    
+    if (!this.isGameParticipant(data.toPlayer)) {
+      this.sendErrorToSession(session, "该玩家不在游戏参与者中");
+      return;
+    }
+    
+    if (!this.isUserOnline(data.toPlayer)) {
+      this.sendErrorToSession(session, `${data.toPlayer} 已经离线`);
+      return;
+    }
+    
+    await this.setInitiator(data.toPlayer, 'transfer');
+  }
+
+  // Spectator command: ask the initiator to join the turtle soup in progress
+  async handleTurtleSoupJoinRequest(session, data) {
+    if (!this.turtleSoupActive) {
+      this.sendErrorToSession(session, "海龟汤未在进行中");
+      return;
+    }
+    
+    if (this.turtleSoupParticipants.includes(session.name) || session.name === this.humanHost) {
+      this.sendErrorToSession(session, "你已经在游戏中");
+      return;
+    }
+    
+    if (this.pendingJoinRequests.includes(session.name)) {
+      this.sendErrorToSession(session, "已经发送过加入申请，请等待发起人确认");
+      return;
+    }
+    
+    console.log(`[TurtleSoup] ${session.name} asked to join the game in progress`);
+    
+    this.pendingJoinRequests.push(session.name);
+    await this.saveGameState();
+    
+    this.sendToUser(this.turtleSoupInitiator, {
+      turtleSoupJoinRequest: true,
+      player: session.name
+    });
+    this.sendToUser(session.name, { notice: `📨 已向 ${this.turtleSoupInitiator} 发送加入申请` });
+  }
+
+  // Initiator command: approve or reject a pending join request
+  async handleTurtleSoupJoinDecision(session, data) {
     if (!this.turtleSoupActive || session.name !== this.turtleSoupInitiator) {
-      return; // Only initiator can end
+      this.sendErrorToSession(session, "只有发起人可以处理加入申请");
+      return;
+    }
+    
+    if (!this.pendingJoinRequests.includes(data.player)) {
+      this.sendErrorToSession(session, "没有该玩家的加入申请");
+      return;
+    }
+    
+    this.pendingJoinRequests = this.pendingJoinRequests.filter(name => name !== data.player);
+    
+    if (!data.approved) {
+      await this.saveGameState();
+      this.sendToUser(data.player, { notice: `🚫 ${session.name} 拒绝了你的加入申请` });
+      return;
+    }
+    
+    if (!this.isUserOnline(data.player)) {
+      await this.saveGameState();
+      this.sendErrorToSession(session, `${data.player} 已经离线`);
+      return;
+    }
+    
+    console.log(`[TurtleSoup] ${session.name} let ${data.player} join the game`);
+    
+    // New players take the last seat in the rotation
+    this.turtleSoupParticipants = [...this.turtleSoupParticipants, data.player];
+    if (this.aiHostActive && !this.aiHostParticipants.includes(data.player)) {
+      this.aiHostParticipants = [...this.aiHostParticipants, data.player];
+    }
+    this.getUserScore(data.player);
+    
+    await this.saveGameState();
+    this.broadcastRosterUpdate('joined', data.player);
+  }
+
+  async handleTurtleSoupEnd(session, data) {
+    if (!this.turtleSoupActive || (session.name !== this.turtleSoupInitiator && session.name !== this.humanHost)) {
+      return; // Only initiator (or the human host) can end
     }
 
     await this.endTurtleSoup();
   }
 
   async endTurtleSoup() {
+    // The AI host reveals its own puzzle; otherwise (human host or local judge) do it here
+    const revealedPuzzle = this.aiHostActive ? null : this.currentPuzzle;
+    if (!this.aiHostActive) {
+      this.currentPuzzle = null;
+    }
+    this.humanHost = null;
+    this.pendingHostQuestion = null;
+    
     this.turtleSoupActive = false;
     this.turtleSoupParticipants = [];
     this.turtleSoupInitiator = null;
     this.currentTurnIndex = 0;
+    this.turnDeadline = null;
+    this.pendingJoinRequests = [];
     this.userScores.clear(); // Clear scores when game ends
+    await this.cancelTasks({ types: ['aiResponse', 'turnAdvance', 'turnTimeout', 'participantGrace', 'hostHandoff'] });
 
     // Also end AI host mode if active
     if (this.aiHostActive) {
@@ -864,7 +1934,9 @@ export class ChatRoom {
 
     // Broadcast end message
     this.broadcast({
-      turtleSoupEnd: true
+      turtleSoupEnd: true,
+      puzzle: revealedPuzzle,
+      revealStages: revealedPuzzle ? this.puzzleManager.getRevealStages(revealedPuzzle) : null
     });
   }
 
@@ -877,6 +1949,11 @@ export class ChatRoom {
       return;
     }
 
+    if (this.currentPuzzle) {
+      this.sendErrorToSession(session, "本局已经选择了题目");
+      return;
+    }
+
     // Load the selected puzzle
     const puzzle = this.loadPuzzle(data.puzzleId);
     if (!puzzle) {
@@ -884,10 +1961,22 @@ export class ChatRoom {
       return;
     }
 
+    // Out of LLM budget for today: the game still goes ahead with the local judge
+    const exhaustedBudget = this.getExhaustedBudget();
+    if (exhaustedBudget) {
+      console.warn(`[TurtleSoup-AI] ${exhaustedBudget}, using the local judge`);
+      this.broadcast({
+        aiBudgetExhausted: true,
+        notice: `${exhaustedBudget}，本局改由本地裁判回答`
+      });
+      await this.startLocalJudge(puzzle);
+      return;
+    }
+
     try {
       // Initialize AI Host if not already done
       if (!this.aiHost) {
-        this.aiHost = createAIHost(this.env);
+        this.aiHost = this.createRoomAIHost();
       }
 
       // Start AI host game with the selected puzzle
@@ -895,7 +1984,8 @@ export class ChatRoom {
       
       if (!gameResult.success) {
         const errorMessage = gameResult.error?.message || gameResult.error || '启动失败';
-        this.sendErrorToSession(session, `启动AI主持模式失败: ${errorMessage}`);
+        console.warn(`[TurtleSoup-AI] AI host unavailable (${errorMessage}), using the local judge`);
+        await this.startLocalJudge(puzzle);
         return;
       }
 
@@ -905,54 +1995,290 @@ export class ChatRoom {
       this.aiHostParticipants = this.turtleSoupParticipants;
       this.currentPuzzle = puzzle;
 
-      // Save game state
-      await this.saveGameState();
+      // Save game state
+      await this.saveGameState();
+      await this.scheduleGameDurationLimit();
+      
+      // The first turn starts once the puzzle is on the table
+      await this.startTurnTimer();
+
+      // Broadcast puzzle start
+      this.broadcast({
+        turtleSoupPuzzleStart: true,
+        initiator: data.initiator,
+        participants: this.turtleSoupParticipants,
+        turnIndex: this.currentTurnIndex,
+        turnDeadline: this.turnDeadline,
+        serverTime: Date.now(),
+        puzzle: this.toPublicPuzzle(puzzle),
+        keyFacts: this.aiHost.getKeyFactSummary(),
+        hints: this.aiHost.getHintStatus(),
+        startMessage: `🧩 ${puzzle.title} - ${puzzle.surface}`
+      });
+
+      console.log(`[TurtleSoup-AI] AI-hosted turtle soup started with puzzle: ${puzzle.title}`);
+      
+    } catch (error) {
+      console.error(`[TurtleSoup-AI] Failed to start AI host, using the local judge:`, error);
+      await this.startLocalJudge(puzzle);
+    }
+  }
+
+  /**
+   * Play the selected puzzle without the AI host. Questions are answered by the local judge,
+   * which compares them with the puzzle's truth and keywords.
+   * @param {Object} puzzle - Full puzzle object
+   */
+  async startLocalJudge(puzzle) {
+    this.currentPuzzle = puzzle;
+    await this.saveGameState();
+    await this.startTurnTimer();
+    
+    this.broadcast({
+      localJudgeStart: true,
+      initiator: this.turtleSoupInitiator,
+      participants: this.turtleSoupParticipants,
+      turnIndex: this.currentTurnIndex,
+      turnDeadline: this.turnDeadline,
+      serverTime: Date.now(),
+      puzzle: this.toPublicPuzzle(puzzle),
+      startMessage: `🧩 ${puzzle.title} - ${puzzle.surface}`
+    });
+  }
+
+  // Handle AI message in turtle soup mode
+  async handleTurtleSoupAIMessage(session, messageData) {
+    const currentPlayer = this.turtleSoupParticipants[this.currentTurnIndex];
+    
+    if (currentPlayer !== session.name) {
+      console.log(`[TurtleSoup-AI] Wrong user's turn: ${session.name} vs ${currentPlayer}`);
+      return;
+    }
+
+    console.log(`[TurtleSoup-AI] Processing AI question from ${session.name}: "${messageData.message}"`);
+    
+    // The player has acted, so stop the countdown while the LLM call is in flight. Turn
+    // commands are refused until the answer is in, so the rotation can't move twice.
+    await this.clearTurnTimer();
+    this.turnInProgress = true;
+    
+    let answered;
+    try {
+      // Process the AI question and get response
+      answered = await this.processAIHostQuestion(session.name, messageData.message);
+    } finally {
+      this.turnInProgress = false;
+    }
+    
+    // The game may have ended while the question was being answered
+    if (!this.turtleSoupActive) {
+      return;
+    }
+    
+    // The player left while the question was being answered. removeParticipant already
+    // pointed the index at whoever inherited the turn, so hand it to them instead of advancing
+    if (this.turtleSoupParticipants[this.currentTurnIndex] !== session.name) {
+      await this.moveTurnTo(this.currentTurnIndex);
+      return;
+    }
+    
+    // The question was not counted (refused, failed or the host was unavailable), so the same
+    // player keeps the turn and can ask again
+    if (!answered) {
+      await this.broadcastTurnChange();
+      return;
+    }
+    
+    // Advance turn and save it right away so it survives hibernation
+    this.currentTurnIndex = this.getNextTurnIndex();
+    await this.saveGameState();
+    
+    // Broadcast turn change after a delay to give time for AI response to be processed
+    await this.scheduleTask('turnAdvance', 2000);
+  }
+
+  // Human host mode
+  //
+  // Instead of the AI, one participant hosts: they receive the full puzzle privately, leave the
+  // question rotation, and answer each question with 是/不是/是也不是/没有关系 plus a score.
+  // The question waits in `pendingHostQuestion` (persisted, so it survives hibernation) and the
+  // turn timer stays off until the host answers. Answers go out through `broadcast` and the
+  // scores through `userScores`, exactly like the AI-hosted turns.
+
+  /**
+   * Start human host mode with the selected puzzle
+   * @param {Object} session - Initiator session
+   * @param {Object} data - `{ puzzleId, host }`
+   */
+  async handleTurtleSoupHumanHost(session, data) {
+    if (!this.turtleSoupActive || session.name !== this.turtleSoupInitiator) {
+      this.sendErrorToSession(session, "只有海龟汤发起人可以选择题目");
+      return;
+    }
+
+    if (this.currentPuzzle) {
+      this.sendErrorToSession(session, "本局已经选择了题目");
+      return;
+    }
+
+    const host = data.host;
+    if (!this.turtleSoupParticipants.includes(host)) {
+      this.sendErrorToSession(session, "主持人必须是海龟汤参与者");
+      return;
+    }
+
+    if (this.turtleSoupParticipants.length < 2) {
+      this.sendErrorToSession(session, "至少需要一名提问的玩家");
+      return;
+    }
+
+    const puzzle = this.loadPuzzle(data.puzzleId);
+    if (!puzzle) {
+      this.sendErrorToSession(session, "题目加载失败");
+      return;
+    }
+
+    console.log(`[TurtleSoup-Host] ${host} hosts puzzle: ${puzzle.title}`);
+
+    // The host knows the truth, so they only answer and never ask or score
+    this.humanHost = host;
+    this.currentPuzzle = puzzle;
+    this.turtleSoupParticipants = this.turtleSoupParticipants.filter(name => name !== host);
+    this.userScores.delete(host);
+    this.currentTurnIndex = 0;
+
+    await this.saveGameState();
+    await this.startTurnTimer();
+
+    this.broadcast({
+      humanHostStart: true,
+      initiator: this.turtleSoupInitiator,
+      host: host,
+      participants: this.turtleSoupParticipants,
+      turnIndex: this.currentTurnIndex,
+      turnDeadline: this.turnDeadline,
+      serverTime: Date.now(),
+      puzzle: this.toPublicPuzzle(puzzle),
+      startMessage: `🧩 ${puzzle.title} - ${puzzle.surface}`
+    });
+
+    // Only the host ever receives the unredacted puzzle before the game ends
+    this.sendToUser(host, this.getHumanHostTruthMessage());
+  }
+
+  /**
+   * Private message that gives the human host the full puzzle
+   */
+  getHumanHostTruthMessage() {
+    return {
+      humanHostTruth: true,
+      puzzle: this.currentPuzzle,
+      suggestionsEnabled: !!this.gameConfig?.humanHostSuggestions
+    };
+  }
+
+  /**
+   * Hand the current player's question to the human host and wait for their answer
+   */
+  async askHumanHost(player, question) {
+    if (this.pendingHostQuestion) {
+      this.sendToUser(player, { error: "主持人还在回答上一个问题" });
+      return;
+    }
+
+    await this.clearTurnTimer();
+    this.pendingHostQuestion = {
+      player: player,
+      question: question,
+      timestamp: Date.now()
+    };
+    await this.saveGameState();
+
+    this.sendToUser(this.humanHost, { humanHostQuestion: true, ...this.pendingHostQuestion });
+  }
+
+  /**
+   * Apply the human host's answer to the pending question
+   * @param {Object} session - Host session
+   * @param {Object} data - `{ answer, score }`
+   */
+  async handleHumanHostAnswer(session, data) {
+    if (!this.turtleSoupActive || session.name !== this.humanHost) {
+      this.sendErrorToSession(session, "只有主持人可以回答问题");
+      return;
+    }
+
+    const pending = this.pendingHostQuestion;
+    if (!pending) {
+      this.sendErrorToSession(session, "当前没有等待回答的问题");
+      return;
+    }
+
+    if (!HUMAN_HOST_ANSWERS.includes(data.answer)) {
+      this.sendErrorToSession(session, `回答只能是：${HUMAN_HOST_ANSWERS.join('/')}`);
+      return;
+    }
+
+    const score = Math.max(1, Math.min(10, Math.round(Number(data.score) || 5)));
+    console.log(`[TurtleSoup-Host] ${session.name} answered ${pending.player}: ${data.answer} (${score})`);
+
+    this.pendingHostQuestion = null;
+    this.updateUserScore(pending.player, score);
+    this.currentTurnIndex = this.getNextTurnIndex();
+    await this.saveGameState();
+
+    this.broadcast({
+      humanHostResponse: true,
+      host: session.name,
+      questioner: pending.player,
+      question: pending.question,
+      answer: data.answer,
+      score: score,
+      formattedMessage: `${data.answer}（得分：${score}分）`,
+      userScores: Object.fromEntries(this.userScores)
+    });
+
+    await this.scheduleTask('turnAdvance', 500);
+  }
 
-      // Broadcast puzzle start
-      this.broadcast({
-        turtleSoupPuzzleStart: true,
-        initiator: data.initiator,
-        participants: this.turtleSoupParticipants,
-        puzzle: puzzle,
-        startMessage: `🧩 ${puzzle.title} - ${puzzle.surface}`
-      });
+  /**
+   * Ask the AI what it would answer to the pending question. Only the host sees the suggestion
+   * and nothing is recorded; the host still decides.
+   * @param {Object} session - Host session
+   */
+  async handleHumanHostSuggestion(session, data) {
+    if (!this.turtleSoupActive || session.name !== this.humanHost || !this.pendingHostQuestion) {
+      return;
+    }
 
-      console.log(`[TurtleSoup-AI] AI-hosted turtle soup started with puzzle: ${puzzle.title}`);
-      
-    } catch (error) {
-      console.error(`[TurtleSoup-AI] Failed to start AI host:`, error);
-      this.sendErrorToSession(session, "启动AI主持模式时发生错误");
+    if (!this.gameConfig?.humanHostSuggestions) {
+      this.sendErrorToSession(session, "AI建议未开启");
+      return;
     }
-  }
 
-  // Handle AI message in turtle soup mode
-  async handleTurtleSoupAIMessage(session, messageData) {
-    const currentPlayer = this.turtleSoupParticipants[this.currentTurnIndex];
-    
-    if (currentPlayer !== session.name) {
-      console.log(`[TurtleSoup-AI] Wrong user's turn: ${session.name} vs ${currentPlayer}`);
+    const exhaustedBudget = this.getExhaustedBudget();
+    if (exhaustedBudget) {
+      this.sendErrorToSession(session, `${exhaustedBudget}，暂时无法提供AI建议`);
       return;
     }
 
-    console.log(`[TurtleSoup-AI] Processing AI question from ${session.name}: "${messageData.message}"`);
-    
-    // Process the AI question and get response
-    await this.processAIHostQuestion(session.name, messageData.message);
-    
-    // Advance turn
-    this.currentTurnIndex = (this.currentTurnIndex + 1) % this.turtleSoupParticipants.length;
-    
-    // Broadcast turn change after a delay
-    setTimeout(async () => {
-      // Save game state when turn changes
-      await this.saveGameState();
-      
-      this.broadcast({
-        turtleSoupTurnChange: true,
-        turnIndex: this.currentTurnIndex,
-        nextPlayer: this.turtleSoupParticipants[this.currentTurnIndex]
-      });
-    }, 2000); // Give time for AI response to be processed
+    // Stateless, so it is neither persisted nor shared with AI host mode
+    if (!this.suggestionHost) {
+      this.suggestionHost = this.createRoomAIHost();
+    }
+
+    const question = this.pendingHostQuestion.question;
+    const result = await this.suggestionHost.suggestAnswer(this.currentPuzzle, question);
+    if (!result.success) {
+      this.sendErrorToSession(session, result.error?.message || "AI建议暂时不可用");
+      return;
+    }
+
+    this.sendToUser(session.name, {
+      humanHostSuggestionResult: true,
+      question: question,
+      ...result.data
+    });
   }
 
   // Load puzzle by ID
@@ -961,47 +2287,23 @@ export class ChatRoom {
   }
 
   /**
-   * Generate simple AI response for turtle soup questions
-   * @param {string} question - User's question
-   * @returns {Object} AI response with score and formatted message
+   * Build the public view of a puzzle that is safe to send to clients.
+   * Every outbound puzzle payload (broadcasts and state syncs) must go through here so the
+   * truth, keywords and hints never leave the server before the game ends.
+   * @param {Object} puzzle - Full puzzle object
+   * @returns {Object|null} Redacted puzzle view
    */
-  generateAIResponse(question) {
-    const responses = ['是', '不是', '是也不是', '没有关系'];
-    const response = responses[Math.floor(Math.random() * responses.length)];
-    
-    // Simple scoring logic based on question characteristics
-    let score = 5; // Base score
-    let quality = '一般';
-    
-    const questionLower = question.toLowerCase();
-    
-    // Better questions get higher scores
-    if (questionLower.includes('为什么') || questionLower.includes('怎么') || questionLower.includes('如何')) {
-      score += 2;
-      quality = '很好';
-    } else if (questionLower.includes('是否') || questionLower.includes('是不是') || question.endsWith('吗？') || question.endsWith('吗')) {
-      score += 1;
-      quality = '不错';
-    }
-    
-    // Penalize very short questions
-    if (question.length < 5) {
-      score -= 1;
-      quality = '可以更详细';
+  toPublicPuzzle(puzzle) {
+    if (!puzzle) {
+      return null;
     }
-    
-    // Ensure score is within range
-    score = Math.max(1, Math.min(10, score));
-    
-    const formatted = `${response}（问题质量：${quality}，得分：${score}分）`;
-    
-    console.log(`[TurtleSoup AI] Question: "${question}" -> Response: "${response}", Score: ${score}`);
-    
+
     return {
-      answer: response,
-      score: score,
-      quality: quality,
-      formatted: formatted
+      id: puzzle.id,
+      title: puzzle.title,
+      surface: puzzle.surface,
+      difficulty: puzzle.difficulty,
+      category: puzzle.category
     };
   }
 
@@ -1027,10 +2329,16 @@ export class ChatRoom {
       return;
     }
     
+    const exhaustedBudget = this.getExhaustedBudget();
+    if (exhaustedBudget) {
+      this.sendErrorToSession(session, `${exhaustedBudget}，请在UTC 0点后再开始AI主持`);
+      return;
+    }
+    
     try {
       // Initialize AI Host if not already done
       if (!this.aiHost) {
-        this.aiHost = createAIHost(this.env);
+        this.aiHost = this.createRoomAIHost();
       }
       
       // Start AI host game
@@ -1048,6 +2356,9 @@ export class ChatRoom {
       // Set AI host state
       this.aiHostActive = true;
       this.aiHostInitiator = session.name;
+      this.currentPuzzle = this.aiHost.currentSession.puzzle;
+      // Scores are earned with this game's questions and spent on its hints
+      this.userScores.clear();
       
       // Get all online users as participants
       this.aiHostParticipants = [];
@@ -1057,12 +2368,18 @@ export class ChatRoom {
         }
       });
       
+      // Save game state
+      await this.saveGameState();
+      await this.scheduleGameDurationLimit();
+      
       // Broadcast AI host start
       this.broadcast({
         aiHostStart: true,
         initiator: session.name,
         participants: this.aiHostParticipants,
-        puzzle: gameData.puzzle,
+        puzzle: this.toPublicPuzzle(gameData.puzzle),
+        keyFacts: this.aiHost.getKeyFactSummary(),
+        hints: this.aiHost.getHintStatus(),
         startMessage: gameData.startMessage
       });
       
@@ -1095,12 +2412,146 @@ export class ChatRoom {
     await this.endAIHostMode();
   }
   
+  /**
+   * Queue a standalone AI host question. Questions are answered one at a time so concurrent
+   * LLM calls can't race on the session's progress and question history; a question already
+   * in the queue is merged instead of being asked twice.
+   * @param {Object} session - User session
+   * @param {string} question - User question
+   */
+  async enqueueAIHostQuestion(session, question) {
+    // Case, whitespace, punctuation and particles don't make a different question
+    const key = normalizeQuestion(question);
+    const duplicate = key && this.questionQueue.find(item => item.key === key);
+    if (duplicate) {
+      if (!duplicate.askers.includes(session.name)) {
+        duplicate.askers.push(session.name);
+      }
+      this.broadcastQuestionQueue();
+      return;
+    }
+    
+    const pending = this.questionQueue.filter(item => item.questioner === session.name).length;
+    if (this.maxQueuedQuestions > 0 && pending >= this.maxQueuedQuestions) {
+      this.sendErrorToSession(session, `你已有${pending}个问题在排队，请等回答后再提问`);
+      return;
+    }
+    
+    this.questionQueue.push({
+      id: generateId(),
+      key: key,
+      questioner: session.name,
+      question: question,
+      askers: [session.name]
+    });
+    this.broadcastQuestionQueue();
+    
+    await this.processQuestionQueue();
+  }
+  
+  /**
+   * Answer queued questions in order until the queue is empty. Only one caller works through
+   * the queue; questions queued meanwhile are picked up by the running loop.
+   */
+  async processQuestionQueue() {
+    if (this.questionQueueRunning) {
+      return;
+    }
+    
+    this.questionQueueRunning = true;
+    try {
+      while (this.questionQueue.length > 0) {
+        // The game ended (solved, timed out or stopped) while questions were waiting
+        if (!this.aiHostActive || this.turtleSoupActive) {
+          this.questionQueue = [];
+          break;
+        }
+        
+        const item = this.questionQueue[0];
+        await this.processAIHostQuestion(item.questioner, item.question, item.askers);
+        
+        // endAIHostMode() may already have emptied the queue
+        if (this.questionQueue[0] === item) {
+          this.questionQueue.shift();
+        }
+        this.broadcastQuestionQueue();
+      }
+    } finally {
+      this.questionQueueRunning = false;
+    }
+  }
+  
+  /**
+   * Drop a departed player from the queue. Questions other players joined stay queued.
+   * @param {string} userName - Player who left
+   */
+  removeQueuedQuestions(userName) {
+    let changed = false;
+    this.questionQueue = this.questionQueue.filter((item, index) => {
+      if (!item.askers.includes(userName)) {
+        return true;
+      }
+      changed = true;
+      item.askers = item.askers.filter(name => name !== userName);
+      // The question being answered can't be taken back
+      if (index === 0 && this.questionQueueRunning) {
+        return true;
+      }
+      if (item.askers.length === 0) {
+        return false;
+      }
+      item.questioner = item.askers[0];
+      return true;
+    });
+    
+    if (changed) {
+      this.broadcastQuestionQueue();
+    }
+  }
+  
+  /**
+   * Tell everyone which questions are waiting. Position 1 is the question being answered.
+   */
+  broadcastQuestionQueue() {
+    this.broadcast({
+      aiQuestionQueue: true,
+      queue: this.questionQueue.map((item, index) => ({
+        id: item.id,
+        position: index + 1,
+        questioner: item.questioner,
+        question: item.question,
+        askers: item.askers
+      }))
+    });
+  }
+  
   /**
    * Process AI Host question
    * @param {string} userId - User ID
    * @param {string} question - User question
+   * @param {Array<string>} askers - Everyone who asked this question (merged queue entries);
+   *   the question is counted for userId only
+   * @returns {boolean} false if the question was not counted (refused as a prompt injection
+   *   attempt, rejected, failed, or the room is out of budget for today)
    */
-  async processAIHostQuestion(userId, question) {
+  async processAIHostQuestion(userId, question, askers = [userId]) {
+    // Drafts and the final aiResponse/error share this id so clients can replace the
+    // streamed draft with the validated answer
+    const streamId = `${userId}-${Date.now()}`;
+    
+    // Out of budget: the game is paused until the budget resets or the initiator ends it
+    const exhaustedBudget = this.getExhaustedBudget();
+    if (exhaustedBudget) {
+      this.broadcast({
+        aiBudgetExhausted: true,
+        streamId: streamId,
+        questioner: userId,
+        question: question,
+        notice: `${exhaustedBudget}，AI主持已暂停，UTC 0点后可以继续提问`
+      });
+      return false;
+    }
+    
     try {
       console.log(`[AI Host] Processing question from ${userId}: "${question}"`);
       
@@ -1108,22 +2559,52 @@ export class ChatRoom {
         throw new Error('AI Host not initialized');
       }
       
-      // Process question through AI host
-      const result = await this.aiHost.processQuestion(question, userId);
+      // Relay the feedback/hint drafts as they are generated
+      const result = await this.aiHost.processQuestion(question, userId, {
+        onChunk: (chunk) => this.broadcast({
+          aiResponseChunk: true,
+          streamId: streamId,
+          questioner: userId,
+          question: question,
+          field: chunk.field,
+          text: chunk.text
+        })
+      });
       
       if (!result.success) {
+        // No provider could answer: tell everyone instead of making up an answer
+        if (result.error?.code === 'HOST_DEGRADED') {
+          this.broadcast({
+            aiHostDegraded: true,
+            streamId: streamId,
+            questioner: userId,
+            question: question,
+            notice: result.error.message
+          });
+          return false;
+        }
+        
         // Handle different error formats
         const errorMessage = result.error?.message || result.error || '处理问题时发生错误';
         this.broadcast({
-          error: errorMessage
+          error: errorMessage,
+          streamId: streamId
         });
-        return;
+        return false;
       }
       
       // Extract response data from the new format
       const responseData = result.data;
       const response = responseData.response;
       
+      // Refused and repeated questions don't count; everything else earns the asker its score
+      if (!responseData.refused && !responseData.duplicate) {
+        this.updateUserScore(userId, response.score);
+      }
+      
+      // Persist the AI host session so the game survives hibernation
+      await this.saveGameState();
+      
       // Check if game is solved
       const isSolved = this.aiHost.checkIfSolved(response);
       
@@ -1134,7 +2615,11 @@ export class ChatRoom {
         if (endResult.success) {
           this.broadcast({
             aiGameSolved: true,
+            streamId: streamId,
             endMessage: endResult.data.endMessage,
+            puzzle: endResult.data.puzzle,
+            revealStages: endResult.data.revealStages,
+            keyFacts: endResult.data.keyFacts,
             statistics: endResult.data.statistics
           });
         } else {
@@ -1148,29 +2633,195 @@ export class ChatRoom {
         // Regular AI response
         this.broadcast({
           aiResponse: true,
+          streamId: streamId,
           questioner: userId,
+          askers: askers,
           question: question,
+          duplicateOf: responseData.duplicateOf || null,
           formattedMessage: responseData.formattedMessage,
-          gameState: responseData.gameState
+          gameState: responseData.gameState,
+          userScores: Object.fromEntries(this.userScores)
         });
+        
+        // A refused question doesn't use up the player's turn
+        if (responseData.refused) {
+          return false;
+        }
       }
       
     } catch (error) {
       console.error(`[AI Host] Failed to process question:`, error);
       this.broadcast({
-        error: "处理问题时发生内部错误，请重试"
+        error: "处理问题时发生内部错误，请重试",
+        streamId: streamId
       });
+      return false;
     }
+    
+    return true;
   }
   
+  /**
+   * Handle a player's final answer ("I know the truth"). The AI host judges the full
+   * explanation against the truth; a correct answer ends the game and credits the player.
+   * @param {Object} session - User session
+   * @param {Object} data - `{ explanation }`
+   */
+  async handleAIHostFinalAnswer(session, data) {
+    if (!this.aiHostActive || !this.aiHost) {
+      this.sendErrorToSession(session, "当前不在AI主持模式");
+      return;
+    }
+    
+    if (this.turtleSoupActive && !this.turtleSoupParticipants.includes(session.name)) {
+      this.sendErrorToSession(session, "只有游戏参与者可以提交答案");
+      return;
+    }
+    
+    if (this.finalAnswerInProgress) {
+      this.sendErrorToSession(session, "正在判定其他玩家的答案，请稍后");
+      return;
+    }
+    
+    const explanation = safeString(data.explanation, 500).trim();
+    if (!explanation) {
+      this.sendErrorToSession(session, "答案内容不能为空");
+      return;
+    }
+    
+    const exhaustedBudget = this.getExhaustedBudget();
+    if (exhaustedBudget) {
+      this.sendErrorToSession(session, `${exhaustedBudget}，暂时无法判定答案`);
+      return;
+    }
+    
+    console.log(`[AI Host] Final answer from ${session.name}`);
+    this.broadcast({
+      aiFinalAnswerSubmitted: true,
+      player: session.name,
+      explanation: explanation
+    });
+    
+    this.finalAnswerInProgress = true;
+    let result;
+    try {
+      result = await this.aiHost.submitFinalAnswer(explanation, session.name);
+    } finally {
+      this.finalAnswerInProgress = false;
+    }
+    
+    if (!result.success) {
+      this.sendErrorToSession(session, result.error?.message || result.error || '判定答案时发生错误');
+      return;
+    }
+    
+    // The game may have ended while the answer was being judged
+    if (!this.aiHostActive) {
+      return;
+    }
+    
+    await this.saveGameState();
+    
+    const judgement = result.data;
+    if (judgement.verdict === 'correct') {
+      const endResult = this.aiHost.endGame(true);
+      
+      if (endResult.success) {
+        this.broadcast({
+          aiGameSolved: true,
+          solvedBy: session.name,
+          verdictMessage: judgement.formattedMessage,
+          endMessage: endResult.data.endMessage,
+          puzzle: endResult.data.puzzle,
+          revealStages: endResult.data.revealStages,
+          keyFacts: endResult.data.keyFacts,
+          statistics: endResult.data.statistics
+        });
+      } else {
+        console.error('[AI Host] Failed to end game:', endResult.error);
+      }
+      
+      await this.endAIHostMode();
+      return;
+    }
+    
+    this.broadcast({
+      aiFinalAnswerResult: true,
+      player: session.name,
+      verdict: judgement.verdict,
+      missing: judgement.missing,
+      feedback: judgement.feedback,
+      formattedMessage: judgement.formattedMessage
+    });
+  }
+
+  /**
+   * Spend score on the next rung of the hint ladder. Each hint costs more than the last,
+   * and the cost is deducted from the buyer's score.
+   */
+  async handleAIHostBuyHint(session, data) {
+    if (!this.aiHostActive || !this.aiHost) {
+      this.sendErrorToSession(session, "当前不在AI主持模式");
+      return;
+    }
+
+    if (this.turtleSoupActive && !this.turtleSoupParticipants.includes(session.name)) {
+      this.sendErrorToSession(session, "只有游戏参与者可以购买提示");
+      return;
+    }
+
+    const status = this.aiHost.getHintStatus();
+    if (!status || status.remaining === 0) {
+      this.sendErrorToSession(session, "提示已经用完了");
+      return;
+    }
+
+    const userScore = this.getUserScore(session.name);
+    if (userScore.totalScore < status.nextCost) {
+      this.sendErrorToSession(session, `分数不够：下一条提示需要${status.nextCost}分，你现在有${userScore.totalScore}分`);
+      return;
+    }
+
+    const result = this.aiHost.buyHint(session.name);
+    if (!result.success) {
+      this.sendErrorToSession(session, result.error?.message || result.error || '购买提示时发生错误');
+      return;
+    }
+
+    const purchase = result.data;
+    userScore.totalScore -= purchase.cost;
+    userScore.hintsBought = (userScore.hintsBought || 0) + 1;
+    userScore.hintSpend = (userScore.hintSpend || 0) + purchase.cost;
+
+    console.log(`[AI Host] ${session.name} bought hint ${purchase.level} for ${purchase.cost} points`);
+    await this.saveGameState();
+
+    this.broadcast({
+      aiHintPurchased: true,
+      player: session.name,
+      level: purchase.level,
+      cost: purchase.cost,
+      formattedMessage: purchase.formattedMessage,
+      hintStatus: purchase.hintStatus,
+      gameState: purchase.gameState,
+      userScores: Object.fromEntries(this.userScores)
+    });
+  }
+
   /**
    * End AI Host mode
    */
   async endAIHostMode() {
     console.log(`[AI Host] Ending AI host mode`);
     
+
     let statistics = null;
+    let revealedPuzzle = null;
+    let revealStages = null;
+    let keyFacts = null;
     if (this.aiHost) {
+      await this.recordGameUsage();
+      
       const gameState = this.aiHost.getGameState();
       if (gameState) {
         statistics = {
@@ -1180,12 +2831,32 @@ export class ChatRoom {
           hintsUsed: gameState.hintsGiven
         };
       }
+      
+      // Game is over, so the end-of-game payload may carry the truth
+      if (gameState?.isActive) {
+        const endResult = this.aiHost.endGame(false);
+        if (endResult.success) {
+          revealedPuzzle = endResult.data.puzzle;
+          revealStages = endResult.data.revealStages;
+          keyFacts = endResult.data.keyFacts;
+        }
+      }
       this.aiHost.cleanup();
     }
     
     this.aiHostActive = false;
     this.aiHostInitiator = null;
     this.aiHostParticipants = [];
+    this.currentPuzzle = null;
+    this.questionQueue = [];
+    if (!this.turtleSoupActive) {
+      this.userScores.clear();
+    }
+    await this.cancelTasks({ id: 'gameDurationLimit' });
+    if (!this.turtleSoupActive) {
+      await this.cancelTasks({ types: ['participantGrace', 'hostHandoff'] });
+    }
+    await this.scheduleAnswerCacheSweep();
     
     // Save game state
     await this.saveGameState();
@@ -1193,10 +2864,91 @@ export class ChatRoom {
     // Broadcast end message
     this.broadcast({
       aiHostEnd: true,
+      puzzle: revealedPuzzle,
+      revealStages: revealStages,
+      keyFacts: keyFacts,
       statistics: statistics
     });
   }
   
+  /**
+   * Room storage never expires cached answers by itself, so after each game make sure a
+   * sweep is pending. KV expires its entries and needs none.
+   */
+  async scheduleAnswerCacheSweep() {
+    if (!this.answerCache?.needsSweep() || this.scheduledTasks.some(task => task.id === 'answerCacheSweep')) {
+      return;
+    }
+    await this.scheduleTask('answerCacheSweep', ANSWER_CACHE_SWEEP_INTERVAL, {}, 'answerCacheSweep');
+  }
+
+  /**
+   * Drop expired cached answers (and the oldest ones beyond the cap), then sweep again later
+   * while any are left
+   */
+  async sweepAnswerCache() {
+    if (!this.answerCache) {
+      return;
+    }
+    
+    const { removed, remaining } = await this.answerCache.sweep();
+    console.log(`[ChatRoom] Answer cache sweep removed ${removed} entries, ${remaining ?? 'unknown'} left`);
+    if (remaining !== 0) {
+      await this.scheduleAnswerCacheSweep();
+    }
+  }
+
+  /**
+   * Schedule the end of the current AI host game once its maximum duration is reached
+   */
+  async scheduleGameDurationLimit() {
+    const session = this.aiHost?.currentSession;
+    if (!session) {
+      return;
+    }
+    
+    const maxDurationMs = this.aiHost.config.game.maxGameDuration * 1000;
+    const remainingMs = Math.max(0, session.startTime + maxDurationMs - Date.now());
+    await this.scheduleTask('gameDurationLimit', remainingMs, { sessionId: session.sessionId }, 'gameDurationLimit');
+  }
+
+  /**
+   * End the AI host game when its duration limit expires
+   * @param {Object} payload - `{ sessionId }`
+   */
+  async handleGameDurationLimit(payload) {
+    if (!this.aiHostActive || this.aiHost?.currentSession?.sessionId !== payload.sessionId) {
+      return;
+    }
+    
+    console.log(`[AI Host] Game duration limit reached for session ${payload.sessionId}`);
+    this.broadcast({ notice: "⏰ 游戏时间已到" });
+    
+    if (this.turtleSoupActive) {
+      await this.endTurtleSoup();
+    } else {
+      await this.endAIHostMode();
+    }
+  }
+
+  /**
+   * Send a message to every connection of a user
+   * @param {string} userName - Recipient name
+   * @param {Object} message - Message to send
+   */
+  sendToUser(userName, message) {
+    const messageStr = safeJsonStringify(message);
+    this.sessions.forEach((session, webSocket) => {
+      if (session.name === userName) {
+        try {
+          webSocket.send(messageStr);
+        } catch (err) {
+          console.error(`[ChatRoom] Failed to send message to ${userName}:`, err);
+        }
+      }
+    });
+  }
+
   /**
    * Send error message to specific session
    * @param {Object} session - User session
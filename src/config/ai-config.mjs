@@ -2,19 +2,33 @@
  * AI配置管理
  */
 
+import { LLM_PROVIDERS } from '../lib/llm-providers.mjs';
+
 /**
  * 默认AI配置
  */
 export const DEFAULT_AI_CONFIG = {
   // LLM API配置
   llm: {
+    provider: 'openai',              // openai / anthropic / ollama / workers-ai
+    aiBinding: 'AI',                 // workers-ai 使用的 Workers AI 绑定名
     apiUrl: '',
     model: 'gpt-4',
     maxTokens: 1000,
     temperature: 0.7,
     timeout: 30000,
     maxRetries: 3,
-    retryDelay: 1000
+    retryDelay: 1000,
+    stream: true,                    // 流式请求，边生成边把评价和提示推送给玩家
+    structuredOutput: true,          // 使用服务的 JSON Schema / 工具调用模式约束输出格式
+    maxRepairAttempts: 1,            // 回答不符合格式时，把错误发回模型要求修正的最多次数
+    fallbacks: [],                   // 备用服务，按顺序尝试；每项覆盖上面的部分字段，如 { provider, apiUrl, apiKey, model }
+    circuitBreakerThreshold: 3,      // 同一服务连续失败几次后熔断
+    circuitBreakerCooldown: 60000,   // 熔断后多久（毫秒）再试探一次
+    mockFallback: false,             // 所有服务都失败或都没有配置时改用模拟回答（会标明），关闭时提示玩家主持人暂时不可用
+    mockSeed: null,                  // 模拟回答和鼓励语的随机种子，设置后结果可复现（用于测试）
+    script: null,                    // scripted 服务使用的夹具，格式见 src/lib/llm-script.mjs
+    recordScript: false              // 录制真实服务的回答，可从管理接口导出为夹具
   },
   
   // 游戏规则配置
@@ -25,6 +39,13 @@ export const DEFAULT_AI_CONFIG = {
     minScoreForHint: 5,              // 最低分数要求才给提示
     progressBoostOnGoodQuestion: 5,  // 好问题的进度加成
     maxGameDuration: 1800,           // 最大游戏时长（秒）
+    turnTimeLimit: 60,               // 海龟汤每轮发言时限（秒），0表示不限时
+    reconnectGracePeriod: 60,        // 玩家断线后保留位置的时间（秒）
+    hostHandoffTimeout: 30,          // 发起人断线后移交主持权的等待时间（秒）
+    humanHostSuggestions: true,      // 真人主持时允许请求AI建议回答
+    maxQueuedQuestionsPerPlayer: 2,  // 单独AI主持时每位玩家最多排队的问题数，0表示不限
+    hintBaseCost: 2,                 // 购买第一条提示的分数（题目没有指定价格时）
+    hintCostStep: 2,                 // 之后每条提示比上一条多花的分数
   },
   
   // 评分配置
@@ -53,6 +74,47 @@ export const DEFAULT_AI_CONFIG = {
     enableScoring: true,             // 显示评分
     maxFeedbackLength: 50,           // 最大反馈长度
     maxHintLength: 30,               // 最大提示长度
+  },
+  
+  // 对话上下文配置
+  context: {
+    historyWindow: 10,               // 提示词中逐条列出的最近问答数
+    historyTokenBudget: 800,         // 问答记录（含更早问答的摘要）的token预算
+  },
+  
+  // 回答复核配置
+  verification: {
+    enabled: false,                  // 广播前再调用一次LLM核对回答
+    model: '',                       // 复核使用的模型，留空则与 llm.model 相同
+    mode: 'correct',                 // correct：直接改正答案；flag：保留答案并附上复核提示
+  },
+  
+  // 回答缓存配置
+  cache: {
+    enabled: true,                   // 同一道题的相同问题直接使用缓存的回答
+    ttl: 604800,                     // 缓存过期时间（秒），0表示不过期
+    maxEntries: 500,                 // 房间存储中最多保留的缓存条目数，0表示不限（KV 不受限制）
+  },
+  
+  // 重复问题配置
+  duplicates: {
+    enabled: true,                   // 换个说法的重复问题直接给出之前的回答，不再调用LLM
+    similarityThreshold: 0.65,       // 规范化后相邻两字的重合度（0-1）达到多少视为重复
+  },
+  
+  // 提示词注入防护配置
+  security: {
+    injectionDetection: true,        // 拒答疑似提示词注入的问题和推理
+    leakScreening: true,             // 广播前检查评价和提示是否泄露汤底
+    leakMinLength: 6,                // 与汤底相同的连续文字达到多少字视为泄露（不计标点）
+    leakOverlapThreshold: 0.6,       // 评价中只出现在汤底里的相邻两字占比达到多少视为改写后的泄露
+  },
+  
+  // 用量与预算配置
+  usage: {
+    pricing: {},                     // 各模型每百万令牌的价格（美元），如 { "gpt-4o": { prompt: 2.5, completion: 10 } }
+    dailyTokenBudget: 0,             // 每个房间每天（UTC）最多消耗的令牌数，0表示不限
+    dailyCostBudget: 0,              // 每个房间每天（UTC）最多花费的金额（美元），0表示不限
   }
 };
 
@@ -61,6 +123,8 @@ export const DEFAULT_AI_CONFIG = {
  */
 export const ENV_CONFIG_MAP = {
   // LLM配置
+  'LLM_PROVIDER': 'llm.provider',
+  'LLM_AI_BINDING': 'llm.aiBinding',
   'LLM_API_URL': 'llm.apiUrl',
   'LLM_API_KEY': 'llm.apiKey',
   'LLM_MODEL': 'llm.model',
@@ -68,12 +132,29 @@ export const ENV_CONFIG_MAP = {
   'LLM_TEMPERATURE': 'llm.temperature',
   'LLM_TIMEOUT': 'llm.timeout',
   'LLM_MAX_RETRIES': 'llm.maxRetries',
+  'LLM_STREAM': 'llm.stream',
+  'LLM_STRUCTURED_OUTPUT': 'llm.structuredOutput',
+  'LLM_MAX_REPAIR_ATTEMPTS': 'llm.maxRepairAttempts',
+  'LLM_FALLBACKS': 'llm.fallbacks',
+  'LLM_CIRCUIT_BREAKER_THRESHOLD': 'llm.circuitBreakerThreshold',
+  'LLM_CIRCUIT_BREAKER_COOLDOWN': 'llm.circuitBreakerCooldown',
+  'LLM_MOCK_FALLBACK': 'llm.mockFallback',
+  'LLM_MOCK_SEED': 'llm.mockSeed',
+  'LLM_SCRIPT': 'llm.script',
+  'LLM_RECORD_SCRIPT': 'llm.recordScript',
   
   // 游戏配置
   'GAME_MAX_QUESTIONS': 'game.maxQuestionsPerRound',
   'GAME_HINT_FREQUENCY': 'game.hintFrequency',
   'GAME_AUTO_HINT_THRESHOLD': 'game.autoHintThreshold',
   'GAME_MAX_DURATION': 'game.maxGameDuration',
+  'GAME_TURN_TIME_LIMIT': 'game.turnTimeLimit',
+  'GAME_RECONNECT_GRACE_PERIOD': 'game.reconnectGracePeriod',
+  'GAME_HOST_HANDOFF_TIMEOUT': 'game.hostHandoffTimeout',
+  'GAME_HUMAN_HOST_SUGGESTIONS': 'game.humanHostSuggestions',
+  'GAME_MAX_QUEUED_QUESTIONS': 'game.maxQueuedQuestionsPerPlayer',
+  'GAME_HINT_BASE_COST': 'game.hintBaseCost',
+  'GAME_HINT_COST_STEP': 'game.hintCostStep',
   
   // 评分配置
   'SCORING_MAX_SCORE': 'scoring.maxScore',
@@ -85,6 +166,35 @@ export const ENV_CONFIG_MAP = {
   'RESPONSE_ENABLE_ENCOURAGEMENT': 'response.enableEncouragement',
   'RESPONSE_MAX_FEEDBACK_LENGTH': 'response.maxFeedbackLength',
   'RESPONSE_MAX_HINT_LENGTH': 'response.maxHintLength',
+  
+  // 上下文配置
+  'CONTEXT_HISTORY_WINDOW': 'context.historyWindow',
+  'CONTEXT_HISTORY_TOKEN_BUDGET': 'context.historyTokenBudget',
+  
+  // 复核配置
+  'VERIFICATION_ENABLED': 'verification.enabled',
+  'VERIFICATION_MODEL': 'verification.model',
+  'VERIFICATION_MODE': 'verification.mode',
+  
+  // 缓存配置
+  'ANSWER_CACHE_ENABLED': 'cache.enabled',
+  'ANSWER_CACHE_TTL': 'cache.ttl',
+  'ANSWER_CACHE_MAX_ENTRIES': 'cache.maxEntries',
+  
+  // 重复问题配置
+  'DUPLICATE_DETECTION_ENABLED': 'duplicates.enabled',
+  'DUPLICATE_SIMILARITY_THRESHOLD': 'duplicates.similarityThreshold',
+  
+  // 防护配置
+  'SECURITY_INJECTION_DETECTION': 'security.injectionDetection',
+  'SECURITY_LEAK_SCREENING': 'security.leakScreening',
+  'SECURITY_LEAK_MIN_LENGTH': 'security.leakMinLength',
+  'SECURITY_LEAK_OVERLAP_THRESHOLD': 'security.leakOverlapThreshold',
+  
+  // 用量配置
+  'USAGE_PRICING': 'usage.pricing',
+  'USAGE_DAILY_TOKEN_BUDGET': 'usage.dailyTokenBudget',
+  'USAGE_DAILY_COST_BUDGET': 'usage.dailyCostBudget',
 };
 
 /**
@@ -102,6 +212,17 @@ function parseConfigValue(value, type) {
       return isNaN(num) ? undefined : num;
     case 'boolean':
       return value.toLowerCase() === 'true';
+    case 'json':
+      // wrangler 的 [vars] 和测试代码可以直接传入对象
+      if (typeof value === 'object') {
+        return value;
+      }
+      try {
+        return JSON.parse(value);
+      } catch {
+        console.warn(`[AI Config] Ignoring invalid JSON value: ${value}`);
+        return undefined;
+      }
     case 'string':
     default:
       return value;
@@ -115,18 +236,28 @@ function parseConfigValue(value, type) {
  */
 function getConfigType(path) {
   const numberPaths = [
-    'llm.maxTokens', 'llm.temperature', 'llm.timeout', 'llm.maxRetries',
+    'llm.maxTokens', 'llm.temperature', 'llm.timeout', 'llm.maxRetries', 'llm.maxRepairAttempts',
+    'llm.circuitBreakerThreshold', 'llm.circuitBreakerCooldown', 'llm.mockSeed',
     'game.maxQuestionsPerRound', 'game.hintFrequency', 'game.autoHintThreshold',
-    'game.maxGameDuration', 'scoring.maxScore', 'scoring.progressWeight',
-    'scoring.creativityBonus', 'response.maxFeedbackLength', 'response.maxHintLength'
+    'game.maxGameDuration', 'game.turnTimeLimit', 'game.reconnectGracePeriod',
+    'game.hostHandoffTimeout', 'game.maxQueuedQuestionsPerPlayer',
+    'game.hintBaseCost', 'game.hintCostStep', 'scoring.maxScore', 'scoring.progressWeight',
+    'scoring.creativityBonus', 'response.maxFeedbackLength', 'response.maxHintLength',
+    'context.historyWindow', 'context.historyTokenBudget',
+    'cache.ttl', 'cache.maxEntries', 'duplicates.similarityThreshold', 'security.leakMinLength', 'security.leakOverlapThreshold',
+    'usage.dailyTokenBudget', 'usage.dailyCostBudget'
   ];
   
   const booleanPaths = [
-    'response.enableEmoji', 'response.enableEncouragement',
-    'response.enableProgress', 'response.enableScoring'
+    'llm.stream', 'llm.structuredOutput', 'llm.mockFallback', 'llm.recordScript', 'game.humanHostSuggestions', 'response.enableEmoji', 'response.enableEncouragement',
+    'response.enableProgress', 'response.enableScoring', 'verification.enabled', 'cache.enabled', 'duplicates.enabled',
+    'security.injectionDetection', 'security.leakScreening'
   ];
   
+  const jsonPaths = ['llm.fallbacks', 'llm.script', 'usage.pricing'];
+  
   if (numberPaths.includes(path)) return 'number';
+  if (jsonPaths.includes(path)) return 'json';
   if (booleanPaths.includes(path)) return 'boolean';
   return 'string';
 }
@@ -194,14 +325,34 @@ export function validateAIConfig(config) {
   const warnings = [];
   
   // 验证LLM配置
-  if (!config.llm?.apiUrl) {
+  const provider = config.llm?.provider || 'openai';
+  if (!LLM_PROVIDERS.includes(provider)) {
+    errors.push(`Unknown LLM provider: ${provider}`);
+  }
+  
+  // Workers AI 通过绑定调用、scripted 按夹具回答，都不需要地址和密钥；本地 Ollama 不需要密钥
+  if (!['workers-ai', 'scripted'].includes(provider) && !config.llm?.apiUrl) {
     errors.push('LLM API URL is required');
   }
   
-  if (!config.llm?.apiKey) {
+  if (provider === 'scripted' && !config.llm?.script) {
+    warnings.push('LLM script is not set, the scripted provider will fall back to mock responses');
+  }
+  
+  if (['openai', 'anthropic'].includes(provider) && !config.llm?.apiKey) {
     warnings.push('LLM API key is not set');
   }
   
+  if (!Array.isArray(config.llm?.fallbacks)) {
+    errors.push('LLM fallbacks must be an array');
+  } else {
+    config.llm.fallbacks.forEach((fallback, index) => {
+      if (fallback?.provider && !LLM_PROVIDERS.includes(fallback.provider)) {
+        errors.push(`Unknown LLM provider in fallback ${index + 1}: ${fallback.provider}`);
+      }
+    });
+  }
+  
   if (!config.llm?.model) {
     errors.push('LLM model is required');
   }
@@ -223,6 +374,25 @@ export function validateAIConfig(config) {
     warnings.push('Max score is recommended to be 10');
   }
   
+  if (config.verification?.enabled && !['correct', 'flag'].includes(config.verification.mode)) {
+    warnings.push('Verification mode should be "correct" or "flag"');
+  }
+  
+  const similarityThreshold = config.duplicates?.similarityThreshold;
+  if (similarityThreshold !== undefined && (similarityThreshold <= 0 || similarityThreshold > 1)) {
+    warnings.push('Duplicate similarity threshold should be between 0 and 1');
+  }
+  
+  const overlapThreshold = config.security?.leakOverlapThreshold;
+  if (overlapThreshold !== undefined && (overlapThreshold <= 0 || overlapThreshold > 1)) {
+    warnings.push('Leak overlap threshold should be between 0 and 1');
+  }
+  
+  const pricing = config.usage?.pricing;
+  if (pricing !== undefined && (pricing === null || typeof pricing !== 'object' || Array.isArray(pricing))) {
+    errors.push('Usage pricing must be an object keyed by model name');
+  }
+  
   return {
     isValid: errors.length === 0,
     errors: errors,
@@ -238,11 +408,13 @@ export function validateAIConfig(config) {
 export function getConfigSummary(config) {
   return {
     llm: {
+      provider: config.llm?.provider,
       apiUrl: config.llm?.apiUrl,
       model: config.llm?.model,
       maxTokens: config.llm?.maxTokens,
       temperature: config.llm?.temperature,
-      hasApiKey: !!config.llm?.apiKey
+      hasApiKey: !!config.llm?.apiKey,
+      fallbacks: (config.llm?.fallbacks || []).length
     },
     game: {
       maxQuestionsPerRound: config.game?.maxQuestionsPerRound,
@@ -254,6 +426,27 @@ export function getConfigSummary(config) {
     response: {
       enableEmoji: config.response?.enableEmoji,
       enableScoring: config.response?.enableScoring
+    },
+    verification: {
+      enabled: config.verification?.enabled,
+      mode: config.verification?.mode
+    },
+    cache: {
+      enabled: config.cache?.enabled,
+      ttl: config.cache?.ttl
+    },
+    duplicates: {
+      enabled: config.duplicates?.enabled,
+      similarityThreshold: config.duplicates?.similarityThreshold
+    },
+    security: {
+      injectionDetection: config.security?.injectionDetection,
+      leakScreening: config.security?.leakScreening
+    },
+    usage: {
+      pricedModels: Object.keys(config.usage?.pricing || {}).length,
+      dailyTokenBudget: config.usage?.dailyTokenBudget,
+      dailyCostBudget: config.usage?.dailyCostBudget
     }
   };
 }
@@ -6,10 +6,18 @@ import { LLMClient } from './llm-client.mjs';
 import { createPromptManager } from './prompt-manager.mjs';
 import { createPuzzleManager } from './puzzle-manager.mjs';
 import { buildAIConfig, validateAIConfig } from '../config/ai-config.mjs';
-import { safeNumber, createErrorResponse, createSuccessResponse, measureTime } from './utils.mjs';
+import { safeNumber, createErrorResponse, createSuccessResponse, measureTime, addUsage } from './utils.mjs';
 import { createLogger } from './logger.mjs';
+import { ANSWER_SCHEMA, JUDGEMENT_SCHEMA, VERIFICATION_SCHEMA, validateAgainstSchema } from './response-schema.mjs';
+import { createPromptGuard } from './prompt-guard.mjs';
+import { findSimilarQuestion } from './question-similarity.mjs';
 import { AppError, ValidationError, ConfigError, handleError, wrapAsync } from './error-handler.mjs';
 
+/**
+ * 问题的最大长度，房间在转给主持人之前按同样的长度检查
+ */
+export const MAX_QUESTION_LENGTH = 200;
+
 export class AIHost {
   constructor(env = {}) {
     // 初始化日志器
@@ -33,9 +41,14 @@ export class AIHost {
       }
       
       // 初始化组件
-      this.llmClient = new LLMClient(this.config.llm);
-      this.promptManager = createPromptManager();
+      this.llmClient = new LLMClient(this.config.llm, { ai: env[this.config.llm.aiBinding] });
+      this.llmClient.setUsageListener(usage => this.recordUsage(usage));
+      this.usageListener = null;
+      this.answerCache = null;
+      // 与模拟回答共用随机数，设置 llm.mockSeed 后整局的输出都可以复现
+      this.promptManager = createPromptManager({ random: this.llmClient.random });
       this.puzzleManager = createPuzzleManager();
+      this.promptGuard = createPromptGuard(this.config.security);
       
       // 游戏状态
       this.currentSession = null;
@@ -43,6 +56,7 @@ export class AIHost {
       this.gameStartTime = null;
       
       this.logger.info('AI Host initialized successfully', {
+        provider: this.config.llm.provider,
         hasApiKey: !!this.config.llm.apiKey,
         model: this.config.llm.model
       });
@@ -142,9 +156,15 @@ export class AIHost {
       totalScore: 0,
       progress: 0,
       hintsGiven: 0,
+      // 提示阶梯上已经给出的提示数（自动提示和购买的提示）
+      hintIndex: 0,
       isActive: true,
       sessionId: this.generateSessionId(),
-      lastActivity: Date.now()
+      lastActivity: Date.now(),
+      finalAnswers: 0,
+      solvedBy: null,
+      foundFacts: [],
+      usage: null
     };
   }
 
@@ -167,8 +187,18 @@ export class AIHost {
       errors.push('keywords 必须是数组');
     }
     
-    if (puzzle.hints && !Array.isArray(puzzle.hints)) {
-      errors.push('hints 必须是数组');
+    if (puzzle.hints && (!Array.isArray(puzzle.hints) ||
+        puzzle.hints.some(hint => typeof hint !== 'string' && !hint?.text))) {
+      errors.push('hints 必须是字符串或 { text, cost } 组成的数组');
+    }
+    
+    if (puzzle.reveal && !Array.isArray(puzzle.reveal)) {
+      errors.push('reveal 必须是数组');
+    }
+    
+    if (puzzle.keyFacts && (!Array.isArray(puzzle.keyFacts) ||
+        puzzle.keyFacts.some(fact => !fact?.id || !fact?.statement))) {
+      errors.push('keyFacts 必须是包含 id 和 statement 的数组');
     }
     
     return {
@@ -181,9 +211,10 @@ export class AIHost {
    * 处理用户问题
    * @param {string} question - 用户问题
    * @param {string} userId - 用户ID
+   * @param {Object} options - { onChunk }：流式生成时每段新的评价/提示文字调用一次 onChunk({ field, text })
    * @returns {Object} AI回答结果
    */
-  async processQuestion(question, userId) {
+  async processQuestion(question, userId, options = {}) {
     return measureTime(async () => {
       try {
         console.log(`[AI Host] Processing question from ${userId}: "${question}"`);
@@ -203,12 +234,31 @@ export class AIHost {
         // 更新最后活动时间
         this.currentSession.lastActivity = Date.now();
         
+        // 疑似提示词注入：不调用LLM，直接拒答，也不计入游戏
+        if (this.promptGuard.detectInjection(question)) {
+          this.logger.warn('Prompt injection attempt refused', { userId: userId, question: question });
+          return this.createRefusal();
+        }
+        
+        // 换个说法的重复问题：直接沿用之前的回答，不调用LLM，也不计入提问次数
+        const earlier = this.findEarlierQuestion(question);
+        if (earlier) {
+          this.logger.info('Duplicate question answered from history', {
+            userId: userId,
+            question: question,
+            earlierQuestion: earlier.item.question,
+            askedBy: earlier.item.userId,
+            similarity: Math.round(earlier.similarity * 100) / 100
+          });
+          return this.createDuplicateAnswer(earlier.item);
+        }
+        
         // 检查重复问题
         const isDuplicate = this.checkDuplicateQuestion(question);
         
         // 处理AI响应
-        const aiResponse = await this.processAIResponse(question, isDuplicate, userId);
-        if (!aiResponse.success) {
+        const aiResponse = await this.processAIResponse(question, isDuplicate, userId, options);
+        if (!aiResponse.success || aiResponse.data.refused) {
           return aiResponse;
         }
         
@@ -249,8 +299,8 @@ export class AIHost {
       return { isValid: false, error: '问题内容不能为空' };
     }
     
-    if (question.length > 200) {
-      return { isValid: false, error: '问题内容太长，请限制在200字符内' };
+    if (question.length > MAX_QUESTION_LENGTH) {
+      return { isValid: false, error: `问题内容太长，请限制在${MAX_QUESTION_LENGTH}字符内` };
     }
     
     if (!userId || typeof userId !== 'string') {
@@ -299,22 +349,44 @@ export class AIHost {
    * @param {string} question - 问题内容
    * @param {boolean} isDuplicate - 是否重复问题
    * @param {string} userId - 用户ID
+   * @param {Object} options - { onChunk }
    * @returns {Object} AI响应结果
    */
-  async processAIResponse(question, isDuplicate, userId) {
+  async processAIResponse(question, isDuplicate, userId, options = {}) {
     try {
-      // 构建消息并调用LLM
-      const messages = this.promptManager.buildMessages(this.currentSession.puzzle, question);
-      const llmResponse = await this.llmClient.chatCompletion(messages, {
-        maxTokens: this.config.llm.maxTokens,
-        temperature: this.config.llm.temperature
-      });
+      // 同一道题有人问过同样的问题时直接使用缓存的回答，否则调用LLM
+      let parsedResponse = await this.getCachedAnswer(question, userId);
+      const cacheHit = !!parsedResponse;
+      if (!cacheHit) {
+        parsedResponse = await this.requestAnswer(question, userId, options);
+      }
+      
+      // 修正后仍不符合格式：不编造回答，和服务不可用一样处理，这个问题不计入游戏
+      if (!parsedResponse) {
+        this.logger.warn('LLM output still invalid after repair attempts', { userId: userId, question: question });
+        return createErrorResponse(
+          'AI主持人暂时不可用，这个问题没有计入，请稍后重新提问',
+          'HOST_DEGRADED',
+          { originalError: 'invalid LLM output' }
+        );
+      }
+      
+      // 评价和提示会原样发给所有玩家，广播前检查是否泄露了汤底
+      const leak = this.findResponseLeak(parsedResponse, question);
+      if (leak) {
+        this.logger.warn('Possible truth leak in AI response, refusing', {
+          userId: userId,
+          question: question,
+          ...leak
+        });
+        return this.createRefusal();
+      }
       
-      // 解析和验证响应
-      let parsedResponse = this.llmClient.parseResponse(llmResponse);
-      parsedResponse = this.llmClient.validateResponse(parsedResponse);
+      if (!cacheHit) {
+        await this.cacheAnswer(question, parsedResponse);
+      }
       
-      // 应用游戏逻辑调整
+      // 应用游戏逻辑调整（缓存的回答也按本局的情况计分和计算进度）
       parsedResponse = this.applyGameLogic(parsedResponse, question, isDuplicate);
       
       // 格式化回答
@@ -326,33 +398,394 @@ export class AIHost {
       });
       
     } catch (error) {
-      console.error('[AI Host] AI response processing failed:', error);
+      // 所有服务都不可用：不编造回答，这个问题不计入游戏
+      this.logger.error('All LLM providers failed', {
+        error: error.message,
+        providers: this.llmClient.getProviderStatus()
+      });
+      return createErrorResponse(
+        'AI主持人暂时不可用，这个问题没有计入，请稍后重新提问',
+        'HOST_DEGRADED',
+        { originalError: error.message }
+      );
+    }
+  }
+
+  /**
+   * 调用LLM回答问题
+   * @param {string} question - 问题内容
+   * @param {string} userId - 用户ID
+   * @param {Object} options - { onChunk }
+   * @returns {Promise<Object|null>} 已校验（和复核）的回答，还没有应用游戏逻辑；修正后仍不符合格式时返回 null
+   */
+  async requestAnswer(question, userId, options = {}) {
+    const messages = this.promptManager.buildMessages(
+      this.currentSession.puzzle,
+      question,
+      this.questionHistory,
+      this.config.context
+    );
+    const stream = !!(options.onChunk && this.config.llm.stream);
+    const onChunk = stream ? this.createScreenedChunkHandler(question, options.onChunk) : null;
+    const { response: llmResponse, data } = await this.requestStructured(messages, ANSWER_SCHEMA, {
+      maxTokens: this.config.llm.maxTokens,
+      temperature: this.config.llm.temperature,
+      stream: stream,
+      onDelta: stream ? this.llmClient.createFieldStreamer(['feedback', 'hint'], onChunk) : undefined
+    });
+    
+    // 流式转发的只是草稿，最终回答以通过校验的完整JSON为准
+    if (!data) {
+      return null;
+    }
+    let parsedResponse = this.llmClient.validateResponse(data);
+    if (llmResponse.mock) {
+      parsedResponse.mock = true;
+    }
+    
+    // 可选的复核：对照汤底和此前的问答检查回答
+    if (this.config.verification?.enabled) {
+      parsedResponse = await this.verifyResponse(question, parsedResponse, userId);
+    }
+    
+    return parsedResponse;
+  }
+
+  /**
+   * 设置回答缓存，由房间提供存储；不设置时每个问题都调用LLM
+   * @param {AnswerCache|null} cache - 缓存实例
+   */
+  setAnswerCache(cache) {
+    this.answerCache = cache;
+  }
+
+  /**
+   * 读取缓存的回答
+   * @param {string} question - 问题内容
+   * @param {string} userId - 用户ID
+   * @returns {Promise<Object|null>} 缓存的回答，未命中时返回 null
+   */
+  async getCachedAnswer(question, userId) {
+    if (!this.answerCache) {
+      return null;
+    }
+    
+    const puzzle = this.currentSession.puzzle;
+    const cached = await this.answerCache.get(puzzle, question);
+    if (cached) {
+      this.logger.info('Answer cache hit', { puzzleId: puzzle.id, userId: userId, question: question });
+    }
+    return cached;
+  }
+
+  /**
+   * 缓存LLM的回答。模拟回答和复核提出异议的回答不缓存
+   * @param {string} question - 问题内容
+   * @param {Object} response - 已校验的回答
+   */
+  async cacheAnswer(question, response) {
+    if (!this.answerCache || response.mock || response.verification?.flagged) {
+      return;
+    }
+    await this.answerCache.set(this.currentSession.puzzle, question, response);
+  }
+
+  /**
+   * 拒答：代替回答发给玩家，不计入提问次数，也不改变进度
+   * @returns {Object} 与正常回答相同结构的结果，data.refused 为 true
+   */
+  createRefusal() {
+    return createSuccessResponse({
+      response: {
+        refused: true,
+        answer: null,
+        score: 0,
+        feedback: '',
+        progress: this.currentSession.progress,
+        facts: []
+      },
+      formattedMessage: this.promptManager.formatRefusal(),
+      gameState: this.getGameState(),
+      refused: true
+    });
+  }
+
+  /**
+   * 检查文字是否泄露汤底。汤面和玩家问过的问题是公开的
+   * @param {string} text - 待检查的文字
+   * @param {Array<string>} publicTexts - 其他公开的文字，如当前问题
+   * @returns {Object|null} 泄露情况，没有泄露时返回 null
+   */
+  findLeak(text, publicTexts = []) {
+    const puzzle = this.currentSession.puzzle;
+    return this.promptGuard.findTruthLeak(text, puzzle.truth, [
+      puzzle.surface,
+      ...this.questionHistory.map(item => item.question),
+      ...publicTexts
+    ]);
+  }
+
+  /**
+   * 检查回答中发给玩家的评价和提示
+   * @param {Object} response - 已验证格式的回答
+   * @param {string} question - 当前问题
+   * @returns {Object|null} { field, reason, ... }，没有泄露时返回 null
+   */
+  findResponseLeak(response, question) {
+    for (const field of ['feedback', 'hint']) {
+      const leak = this.findLeak(response[field], [question]);
+      if (leak) {
+        return { field: field, ...leak };
+      }
+    }
+    return null;
+  }
+
+  /**
+   * 流式草稿也要经过泄露检查：某个字段一旦疑似泄露，之后的草稿都不再转发，
+   * 客户端已收到的部分会被最终的拒答替换
+   * @param {string} question - 当前问题
+   * @param {Function} onChunk - 原始的草稿回调
+   * @returns {Function} 带检查的草稿回调，草稿没有转发时返回 false
+   */
+  createScreenedChunkHandler(question, onChunk) {
+    const texts = {};
+    let blocked = false;
+    
+    return (chunk) => {
+      if (blocked) {
+        return false;
+      }
+      texts[chunk.field] = (texts[chunk.field] || '') + chunk.text;
+      if (this.findLeak(texts[chunk.field], [question])) {
+        blocked = true;
+        return false;
+      }
+      onChunk(chunk);
+      return true;
+    };
+  }
+
+  /**
+   * 按 schema 请求LLM。回答不符合 schema 时把校验错误发回模型要求修正，最多 llm.maxRepairAttempts 次；
+   * 修正后仍不符合时 data 为 null，调用方应当报错，不能编造回答
+   * @param {Array} messages - 消息数组
+   * @param {Object} schema - response-schema.mjs 中的 schema
+   * @param {Object} options - chatCompletion 的参数，只有第一次请求会流式转发
+   * @returns {Object} { response, data, errors }，data 为通过校验的数据，未通过时为 null
+   */
+  async requestStructured(messages, schema, options = {}) {
+    const maxRepairAttempts = Math.max(0, this.config.llm.maxRepairAttempts || 0);
+    let conversation = messages;
+    let response = null;
+    let errors = [];
+    
+    for (let attempt = 0; attempt <= maxRepairAttempts; attempt++) {
+      const requestOptions = attempt === 0
+        ? options
+        : { ...options, stream: false, onDelta: undefined };
+      response = await this.llmClient.chatCompletion(conversation, {
+        ...requestOptions,
+        responseSchema: schema
+      });
       
-      // 降级处理：返回默认响应
-      const fallbackResponse = this.createFallbackResponse(question);
-      const formattedResponse = this.promptManager.formatAIResponse(fallbackResponse);
+      const data = this.llmClient.extractJSON(response);
+      errors = data ? validateAgainstSchema(data, schema.schema) : ['回答不是有效的JSON'];
+      if (errors.length === 0) {
+        return { response, data, errors };
+      }
       
-      console.log('[AI Host] Using fallback response');
-      return createSuccessResponse({
-        response: fallbackResponse,
-        formattedMessage: formattedResponse
+      this.logger.warn('LLM output failed schema validation', {
+        schema: schema.name,
+        attempt: attempt,
+        errors: errors
       });
+      
+      conversation = [
+        ...conversation,
+        { role: 'assistant', content: response.choices?.[0]?.message?.content || '' },
+        this.promptManager.buildRepairMessage(errors)
+      ];
     }
+    
+    return { response, data: null, errors };
   }
 
   /**
-   * 创建降级响应
+   * 复核回答是否符合汤底、是否与此前的回答矛盾。复核失败时保留原回答
    * @param {string} question - 问题内容
-   * @returns {Object} 降级响应
+   * @param {Object} response - 已验证格式的LLM回答
+   * @param {string} userId - 用户ID
+   * @returns {Object} 改正或标记后的回答
    */
-  createFallbackResponse(question) {
-    return {
-      answer: '没有关系',
-      score: 3,
-      feedback: '系统处理中遇到问题，请重新提问',
-      progress: Math.max(0, this.currentSession.progress - 5),
-      hint: null
-    };
+  async verifyResponse(question, response, userId) {
+    const verificationConfig = this.config.verification;
+    
+    try {
+      const messages = this.promptManager.buildVerificationMessages(
+        response,
+        this.currentSession.puzzle,
+        question,
+        this.questionHistory,
+        this.config.context
+      );
+      const { data } = await this.requestStructured(messages, VERIFICATION_SCHEMA, {
+        model: verificationConfig.model || undefined,
+        maxTokens: 300,
+        temperature: 0
+      });
+      
+      const verification = this.llmClient.validateVerification(data);
+      if (!verification || verification.consistent) {
+        return response;
+      }
+      
+      this.logger.warn('Answer failed verification', {
+        userId: userId,
+        question: question,
+        answer: response.answer,
+        correctedAnswer: verification.correctedAnswer,
+        reason: verification.reason,
+        mode: verificationConfig.mode
+      });
+      
+      if (verificationConfig.mode === 'flag' || !verification.correctedAnswer) {
+        return {
+          ...response,
+          verification: { flagged: true, reason: verification.reason }
+        };
+      }
+      
+      const corrected = {
+        ...response,
+        answer: verification.correctedAnswer,
+        verification: { corrected: true, originalAnswer: response.answer, reason: verification.reason }
+      };
+      // 只有"是"才能确认关键事实
+      if (corrected.answer !== '是') {
+        corrected.facts = [];
+      }
+      return corrected;
+      
+    } catch (error) {
+      this.logger.warn('Answer verification failed, keeping original answer', { error: error.message });
+      return response;
+    }
+  }
+
+  /**
+   * 判定玩家提交的最终答案（完整推理）
+   * @param {string} explanation - 玩家的完整推理
+   * @param {string} userId - 用户ID
+   * @returns {Object} 判定结果 { verdict, missing, feedback, formattedMessage, gameState }
+   */
+  async submitFinalAnswer(explanation, userId) {
+    try {
+      console.log(`[AI Host] Final answer from ${userId}: "${explanation}"`);
+      
+      if (!explanation || typeof explanation !== 'string' || explanation.trim().length === 0) {
+        return createErrorResponse('答案内容不能为空', 'INVALID_INPUT');
+      }
+      
+      if (explanation.length > 500) {
+        return createErrorResponse('答案内容太长，请限制在500字符内', 'INVALID_INPUT');
+      }
+      
+      // 问题数用完后仍然可以提交答案
+      const gameStateCheck = this.validateGameState();
+      if (!gameStateCheck.isValid && gameStateCheck.code !== 'MAX_QUESTIONS_REACHED') {
+        return createErrorResponse(gameStateCheck.error, gameStateCheck.code);
+      }
+      
+      this.currentSession.lastActivity = Date.now();
+      
+      if (this.promptGuard.detectInjection(explanation)) {
+        this.logger.warn('Prompt injection attempt in final answer refused', { userId: userId, explanation: explanation });
+        return createErrorResponse('推理中包含要求主持人违反规则的内容，没有提交判定', 'PROMPT_INJECTION');
+      }
+      
+      const messages = this.promptManager.buildFinalAnswerMessages(this.currentSession.puzzle, explanation);
+      const { data } = await this.requestStructured(messages, JUDGEMENT_SCHEMA, {
+        maxTokens: this.config.llm.maxTokens,
+        temperature: this.config.llm.temperature
+      });
+      
+      const judgement = this.llmClient.validateJudgement(data);
+      if (!judgement) {
+        return createErrorResponse('暂时无法判定你的答案，请稍后重新提交', 'JUDGEMENT_UNAVAILABLE');
+      }
+      
+      // 答对时本来就会公布汤底；否则评价和缺少的情节都不能泄露汤底
+      if (judgement.verdict !== 'correct') {
+        const leak = this.findLeak([judgement.feedback, ...judgement.missing].join('\n'), [explanation]);
+        if (leak) {
+          this.logger.warn('Possible truth leak in final answer judgement, hiding details', { userId: userId, ...leak });
+          judgement.feedback = this.promptManager.formatRefusal('judgement');
+          judgement.missing = [];
+        }
+      }
+      
+      this.currentSession.finalAnswers = (this.currentSession.finalAnswers || 0) + 1;
+      if (judgement.verdict === 'correct') {
+        this.currentSession.solvedBy = userId;
+      }
+      
+      console.log(`[AI Host] Final answer from ${userId} judged ${judgement.verdict}`);
+      
+      return createSuccessResponse({
+        ...judgement,
+        formattedMessage: this.promptManager.formatFinalAnswerResult(judgement, userId),
+        gameState: this.getGameState()
+      });
+      
+    } catch (error) {
+      console.error('[AI Host] Failed to judge final answer:', error);
+      return createErrorResponse(
+        '暂时无法判定你的答案，请稍后重新提交',
+        'JUDGEMENT_UNAVAILABLE',
+        { originalError: error.message }
+      );
+    }
+  }
+
+  /**
+   * 为真人主持人生成参考回答。只调用LLM，不需要游戏会话，也不修改任何游戏状态
+   * @param {Object} puzzle - 完整题目（含汤底）
+   * @param {string} question - 玩家问题
+   * @returns {Object} 建议结果 { answer, score, feedback }
+   */
+  async suggestAnswer(puzzle, question) {
+    try {
+      const inputValidation = this.validateQuestionInput(question, 'host');
+      if (!inputValidation.isValid) {
+        return createErrorResponse(inputValidation.error, 'INVALID_INPUT');
+      }
+      
+      const messages = this.promptManager.buildMessages(puzzle, question);
+      const { data } = await this.requestStructured(messages, ANSWER_SCHEMA, {
+        maxTokens: this.config.llm.maxTokens,
+        temperature: this.config.llm.temperature
+      });
+      
+      if (!data) {
+        return createErrorResponse('AI建议暂时不可用', 'SUGGESTION_UNAVAILABLE');
+      }
+      const suggestion = this.llmClient.validateResponse(data);
+      
+      return createSuccessResponse({
+        answer: suggestion.answer,
+        score: suggestion.score,
+        feedback: suggestion.feedback
+      });
+      
+    } catch (error) {
+      console.error('[AI Host] Failed to suggest an answer:', error);
+      return createErrorResponse(
+        'AI建议暂时不可用',
+        'SUGGESTION_UNAVAILABLE',
+        { originalError: error.message }
+      );
+    }
   }
 
   /**
@@ -376,25 +809,31 @@ export class AIHost {
       adjusted.score = Math.min(10, adjusted.score + this.config.scoring.creativityBonus);
     }
     
-    // 关键词匹配加成
-    if (this.hasKeywordMatch(question)) {
-      adjusted.progress = Math.min(100, adjusted.progress + this.config.progress.keywordMatchBonus);
-    }
-    
-    // 直接问题加成
-    if (this.isDirectQuestion(question)) {
-      adjusted.progress = Math.min(100, adjusted.progress + this.config.progress.directQuestionBonus);
-    }
-    
-    // 错误方向惩罚
-    if (adjusted.answer === '没有关系' && adjusted.score > 6) {
-      adjusted.progress = Math.max(0, adjusted.progress + this.config.progress.wrongDirectionPenalty);
+    // 有关键事实清单的题目：进度只由已发现的事实决定，不会倒退
+    if (this.hasKeyFacts()) {
+      adjusted.newFacts = this.filterNewFacts(adjusted.facts);
+      adjusted.progress = this.calculateFactProgress(adjusted.newFacts.length);
+    } else {
+      // 关键词匹配加成
+      if (this.hasKeywordMatch(question)) {
+        adjusted.progress = Math.min(100, adjusted.progress + this.config.progress.keywordMatchBonus);
+      }
+      
+      // 直接问题加成
+      if (this.isDirectQuestion(question)) {
+        adjusted.progress = Math.min(100, adjusted.progress + this.config.progress.directQuestionBonus);
+      }
+      
+      // 错误方向惩罚
+      if (adjusted.answer === '没有关系' && adjusted.score > 6) {
+        adjusted.progress = Math.max(0, adjusted.progress + this.config.progress.wrongDirectionPenalty);
+      }
+      
+      // 进度平滑处理
+      const previousProgress = this.currentSession.progress;
+      adjusted.progress = this.smoothProgress(previousProgress, adjusted.progress);
     }
     
-    // 进度平滑处理
-    const previousProgress = this.currentSession.progress;
-    adjusted.progress = this.smoothProgress(previousProgress, adjusted.progress);
-    
     // 自动提示逻辑
     if (this.shouldAutoHint()) {
       if (!adjusted.hint && adjusted.progress > this.promptManager.getProgressThresholds().hint_trigger) {
@@ -406,7 +845,109 @@ export class AIHost {
   }
 
   /**
-   * 检查重复问题
+   * 当前题目是否带有关键事实清单
+   * @returns {boolean} 是否有关键事实
+   */
+  hasKeyFacts() {
+    const keyFacts = this.currentSession?.puzzle?.keyFacts;
+    return Array.isArray(keyFacts) && keyFacts.length > 0;
+  }
+
+  /**
+   * 过滤出本题存在且尚未发现的关键事实
+   * @param {Array} factIds - LLM 报告的关键事实id
+   * @returns {Array} 新发现的关键事实id
+   */
+  filterNewFacts(factIds = []) {
+    const validIds = new Set(this.currentSession.puzzle.keyFacts.map(fact => fact.id));
+    const foundIds = new Set((this.currentSession.foundFacts || []).map(fact => fact.id));
+    
+    return [...new Set(factIds)].filter(id => validIds.has(id) && !foundIds.has(id));
+  }
+
+  /**
+   * 按已发现的关键事实计算进度
+   * @param {number} newFactCount - 本次新发现的事实数
+   * @returns {number} 进度 (0-100)
+   */
+  calculateFactProgress(newFactCount = 0) {
+    const total = this.currentSession.puzzle.keyFacts.length;
+    const found = (this.currentSession.foundFacts || []).length + newFactCount;
+    return Math.round(Math.min(found, total) / total * 100);
+  }
+
+  /**
+   * 关键事实发现情况（不含事实内容，可在游戏中发送给客户端）
+   * @returns {Object|null} { found, total }，题目没有关键事实时为 null
+   */
+  getKeyFactSummary() {
+    if (!this.hasKeyFacts()) {
+      return null;
+    }
+    
+    return {
+      found: (this.currentSession.foundFacts || []).length,
+      total: this.currentSession.puzzle.keyFacts.length
+    };
+  }
+
+  /**
+   * 关键事实完整清单及发现者（包含事实内容，只在游戏结束时使用）
+   * @returns {Array|null} 关键事实列表
+   */
+  getKeyFactReport() {
+    if (!this.hasKeyFacts()) {
+      return null;
+    }
+    
+    const foundFacts = new Map((this.currentSession.foundFacts || []).map(fact => [fact.id, fact]));
+    return this.currentSession.puzzle.keyFacts.map(fact => ({
+      id: fact.id,
+      statement: fact.statement,
+      found: foundFacts.has(fact.id),
+      foundBy: foundFacts.get(fact.id)?.foundBy || null
+    }));
+  }
+
+  /**
+   * 在问答记录中找出与当前问题相似的问题
+   * @param {string} question - 当前问题
+   * @returns {Object|null} { item, similarity }，没有开启或没有相似的问题时返回 null
+   */
+  findEarlierQuestion(question) {
+    if (!this.config.duplicates?.enabled) {
+      return null;
+    }
+    return findSimilarQuestion(question, this.questionHistory, this.config.duplicates.similarityThreshold);
+  }
+
+  /**
+   * 沿用之前的回答。不改变进度，duplicateOf 标明最初的问题和提问者
+   * @param {Object} item - 问答记录中的一条
+   * @returns {Object} 与正常回答相同结构的结果，data.duplicate 为 true
+   */
+  createDuplicateAnswer(item) {
+    return createSuccessResponse({
+      response: {
+        duplicate: true,
+        answer: item.answer,
+        score: 0,
+        feedback: '',
+        progress: this.currentSession.progress,
+        facts: []
+      },
+      formattedMessage: this.promptManager.formatDuplicateAnswer(item),
+      gameState: this.getGameState(),
+      duplicate: true,
+      duplicateOf: {
+        question: item.question,
+        userId: item.userId
+      }
+    });
+  }
+
+  /**
+   * 检查重复问题（只比较完全相同的问题，关闭相似问题检测时使用）
    * @param {string} question - 当前问题
    * @returns {boolean} 是否重复
    */
@@ -503,14 +1044,90 @@ export class AIHost {
    * @returns {string} 提示内容
    */
   generateAutoHint() {
-    const puzzle = this.currentSession.puzzle;
-    if (!puzzle.hints || puzzle.hints.length === 0) {
-      return '注意观察细节，从不同角度思考';
+    // 提示阶梯上的提示要花分数购买，自动提示只重复已经买过的最后一条，不会白送下一条
+    const ladder = this.getHintLadder();
+    const bought = Math.min(this.currentSession.hintIndex || 0, ladder.length);
+    if (bought > 0) {
+      return ladder[bought - 1].text;
     }
     
-    // 根据已给提示数量选择不同级别的提示
-    const hintIndex = Math.min(this.currentSession.hintsGiven, puzzle.hints.length - 1);
-    return puzzle.hints[hintIndex];
+    return '注意观察细节，从不同角度思考';
+  }
+
+  /**
+   * 提示阶梯：题目的提示由浅入深排列，越往后越接近真相，价格也越高。
+   * 题目没有指定价格时，第 n 条提示的价格为 hintBaseCost + (n - 1) * hintCostStep
+   * @returns {Array} [{ text, cost }]
+   */
+  getHintLadder() {
+    const { hintBaseCost, hintCostStep } = this.config.game;
+    return this.puzzleManager.getHints(this.currentSession.puzzle).map((hint, index) => ({
+      text: hint.text,
+      cost: hint.cost ?? hintBaseCost + index * hintCostStep
+    }));
+  }
+
+  /**
+   * 提示阶梯的情况（不含提示内容，可以发给客户端）
+   * @returns {Object|null} { total, remaining, nextCost }，没有进行中的游戏时返回 null
+   */
+  getHintStatus() {
+    if (!this.currentSession) {
+      return null;
+    }
+    
+    const ladder = this.getHintLadder();
+    const given = Math.min(this.currentSession.hintIndex || 0, ladder.length);
+    return {
+      total: ladder.length,
+      remaining: ladder.length - given,
+      nextCost: given < ladder.length ? ladder[given].cost : null
+    };
+  }
+
+  /**
+   * 取出提示阶梯上的下一条提示
+   * @returns {Object|null} { text, level, cost }，已经给完时返回 null
+   */
+  takeNextHint() {
+    const ladder = this.getHintLadder();
+    const index = this.currentSession.hintIndex || 0;
+    if (index >= ladder.length) {
+      return null;
+    }
+    
+    this.currentSession.hintIndex = index + 1;
+    return { text: ladder[index].text, level: index + 1, cost: ladder[index].cost };
+  }
+
+  /**
+   * 玩家花分数购买下一条提示。分数由房间按玩家记录，这里只负责给出提示
+   * @param {string} userId - 购买的玩家
+   * @returns {Object} { hint, level, cost, formattedMessage, hintStatus, gameState }
+   */
+  buyHint(userId) {
+    const gameStateCheck = this.validateGameState();
+    if (!gameStateCheck.isValid) {
+      return createErrorResponse(gameStateCheck.error, gameStateCheck.code);
+    }
+    
+    const hint = this.takeNextHint();
+    if (!hint) {
+      return createErrorResponse('提示已经全部给出了', 'NO_HINTS_LEFT');
+    }
+    
+    this.currentSession.hintsGiven++;
+    this.currentSession.lastActivity = Date.now();
+    this.logger.info('Hint bought', { userId: userId, level: hint.level, cost: hint.cost });
+    
+    return createSuccessResponse({
+      hint: hint.text,
+      level: hint.level,
+      cost: hint.cost,
+      formattedMessage: this.promptManager.formatHintPurchase(userId, hint, this.getHintStatus()),
+      hintStatus: this.getHintStatus(),
+      gameState: this.getGameState()
+    });
   }
 
   /**
@@ -526,9 +1143,18 @@ export class AIHost {
       answer: response.answer,
       score: response.score,
       userId: userId,
+      facts: response.newFacts || [],
       timestamp: Date.now()
     });
     
+    // 记录新发现的关键事实
+    if (response.newFacts?.length > 0) {
+      this.currentSession.foundFacts = [
+        ...(this.currentSession.foundFacts || []),
+        ...response.newFacts.map(id => ({ id, foundBy: userId, timestamp: Date.now() }))
+      ];
+    }
+    
     // 更新会话状态
     this.currentSession.questionCount++;
     this.currentSession.totalScore += response.score;
@@ -567,6 +1193,8 @@ export class AIHost {
       hintsGiven: this.currentSession.hintsGiven,
       elapsedTime: Math.round(elapsedTime / 1000),
       maxQuestions: this.config.game.maxQuestionsPerRound,
+      keyFacts: this.getKeyFactSummary(),
+      hints: this.getHintStatus(),
       isActive: this.currentSession.isActive
     };
   }
@@ -603,6 +1231,9 @@ export class AIHost {
         gameState: gameState,
         duration: Math.round(duration / 1000),
         puzzle: this.sanitizePuzzleForResult(this.currentSession.puzzle),
+        // 客户端按顺序逐段揭晓，最后一段为完整的汤底
+        revealStages: this.puzzleManager.getRevealStages(this.currentSession.puzzle),
+        keyFacts: this.getKeyFactReport(),
         statistics: statistics
       };
       
@@ -642,7 +1273,10 @@ export class AIHost {
       finalProgress: this.currentSession.progress,
       duration: Math.round(duration / 1000),
       averageTimePerQuestion: avgTime,
-      efficiency: this.calculateEfficiency()
+      efficiency: this.calculateEfficiency(),
+      keyFacts: this.getKeyFactSummary(),
+      finalAnswers: this.currentSession.finalAnswers || 0,
+      solvedBy: this.currentSession.solvedBy || null
     };
   }
 
@@ -703,6 +1337,117 @@ export class AIHost {
     };
   }
 
+  /**
+   * 设置用量回调，每次LLM请求成功后收到带费用的用量 { provider, model, promptTokens, completionTokens, totalTokens, cost }
+   * @param {Function|null} listener - 回调函数
+   */
+  setUsageListener(listener) {
+    this.usageListener = listener;
+  }
+
+  /**
+   * 记录一次LLM请求的用量：计入当前游戏并转交给用量回调
+   * @param {Object} usage - LLMClient 上报的用量
+   */
+  recordUsage(usage) {
+    const entry = {
+      ...usage,
+      cost: this.calculateCost(usage.model, usage.promptTokens, usage.completionTokens)
+    };
+    
+    if (this.currentSession) {
+      this.currentSession.usage = addUsage(this.currentSession.usage, entry);
+    }
+    
+    if (this.usageListener) {
+      this.usageListener(entry);
+    }
+  }
+
+  /**
+   * 按 usage.pricing 计算费用，没有配置价格的模型记为0
+   * @param {string} model - 模型名
+   * @param {number} promptTokens - 输入令牌数
+   * @param {number} completionTokens - 输出令牌数
+   * @returns {number} 费用（美元）
+   */
+  calculateCost(model, promptTokens, completionTokens) {
+    const price = this.config.usage?.pricing?.[model];
+    if (!price) {
+      return 0;
+    }
+    
+    return (promptTokens * (price.prompt || 0) + completionTokens * (price.completion || 0)) / 1000000;
+  }
+
+  /**
+   * 导出录制的LLM回答（需开启 llm.recordScript）
+   * @returns {Object|null} scripted 服务使用的夹具
+   */
+  getRecordedScript() {
+    return this.llmClient.getRecordedScript();
+  }
+
+  /**
+   * 当前游戏的LLM用量
+   * @returns {Object|null} { requests, promptTokens, completionTokens, totalTokens, cost }
+   */
+  getUsage() {
+    return this.currentSession?.usage || null;
+  }
+
+  /**
+   * 导出可持久化的会话状态（用于 Durable Object 休眠后恢复）
+   * @returns {Object|null} 会话快照，没有会话时返回 null
+   */
+  serializeState() {
+    if (!this.currentSession) {
+      return null;
+    }
+    
+    return {
+      version: 1,
+      session: { ...this.currentSession },
+      questionHistory: this.questionHistory.map(item => ({ ...item })),
+      gameStartTime: this.gameStartTime
+    };
+  }
+
+  /**
+   * 从快照恢复会话状态
+   * @param {Object} snapshot - serializeState() 的输出
+   * @returns {boolean} 是否恢复成功
+   */
+  restoreState(snapshot) {
+    if (!snapshot || !snapshot.session || !snapshot.session.puzzle) {
+      this.logger.warn('Cannot restore session: snapshot is empty or incomplete');
+      return false;
+    }
+    
+    const puzzleValidation = this.validatePuzzle(snapshot.session.puzzle);
+    if (!puzzleValidation.isValid) {
+      this.logger.warn('Cannot restore session: invalid puzzle in snapshot', {
+        errors: puzzleValidation.errors
+      });
+      return false;
+    }
+    
+    this.currentSession = { ...snapshot.session };
+    this.questionHistory = Array.isArray(snapshot.questionHistory)
+      ? snapshot.questionHistory.map(item => ({ ...item }))
+      : [];
+    this.gameStartTime = snapshot.gameStartTime || this.currentSession.startTime || Date.now();
+    
+    this.logger.info('Session restored', {
+      sessionId: this.currentSession.sessionId,
+      puzzleId: this.currentSession.puzzle.id,
+      questionCount: this.currentSession.questionCount,
+      progress: this.currentSession.progress
+    });
+    
+    return true;
+  }
+
   /**
    * 测试AI连接
    * @returns {Promise<Object>} 测试结果
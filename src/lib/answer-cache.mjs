@@ -0,0 +1,197 @@
+/**
+ * LLM 回答缓存：同一道题的同一个问题（规范化后）直接使用之前的回答，不再调用 LLM
+ *
+ * 缓存键包含题目 id、汤底和关键事实的哈希以及规范化后问题的哈希，修改汤底后旧的回答自然不再命中，
+ * 等过期后清除。键中的问题只用哈希，再长的问题也不会超出 KV 键 512 字节的限制；条目里保存规范化后的问题，
+ * 读取时核对，哈希碰撞不会拿到别的问题的回答。缓存的是经过校验、复核和泄露检查、但还没有应用游戏逻辑的回答
+ */
+
+import { normalizeQuestion } from './question-similarity.mjs';
+
+/**
+ * 缓存键前缀
+ */
+const KEY_PREFIX = 'answerCache:';
+
+/**
+ * 缓存的回答字段
+ */
+const CACHED_FIELDS = ['answer', 'score', 'feedback', 'progress', 'hint', 'facts'];
+
+/**
+ * FNV-1a 32位哈希
+ * @param {string} text
+ * @returns {string} 十六进制哈希
+ */
+function hashString(text) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return (hash >>> 0).toString(16);
+}
+
+/**
+ * 基于 Workers KV 的存储，所有房间共用。过期的条目由 KV 自动删除，不需要清理
+ * @param {Object} namespace - KV 命名空间绑定
+ * @returns {Object} 存储 { get, put, delete }
+ */
+export function createKVCacheStore(namespace) {
+  return {
+    get: (key) => namespace.get(key, { type: 'json' }),
+    // KV 的过期时间最短为60秒
+    put: (key, value, ttl) => namespace.put(key, JSON.stringify(value), ttl > 0 ? { expirationTtl: Math.max(60, ttl) } : undefined),
+    delete: (key) => namespace.delete(key)
+  };
+}
+
+/**
+ * 基于 Durable Object 存储，只在当前房间内共用。存储不会自动过期，需要定期调用 sweep() 清理
+ * @param {Object} storage - state.storage
+ * @returns {Object} 存储 { get, put, delete, list }
+ */
+export function createDurableCacheStore(storage) {
+  return {
+    get: (key) => storage.get(key),
+    put: (key, value) => storage.put(key, value),
+    delete: (key) => storage.delete(key),
+    list: (prefix) => storage.list({ prefix: prefix })
+  };
+}
+
+export class AnswerCache {
+  /**
+   * @param {Object} store - 存储 { get, put, delete }
+   * @param {Object} config - 缓存配置（config.cache）
+   */
+  constructor(store, config = {}) {
+    this.store = store;
+    // 过期时间（秒），0 表示不过期
+    this.ttl = config.ttl || 0;
+    // 清理时最多保留的条目数，0 表示不限
+    this.maxEntries = config.maxEntries || 0;
+  }
+
+  /**
+   * @param {Object} puzzle - 题目
+   * @param {string} question - 问题
+   * @returns {string|null} 缓存键，问题规范化后为空时返回 null
+   */
+  buildKey(puzzle, question) {
+    const normalized = normalizeQuestion(question);
+    if (!normalized || !puzzle?.id) {
+      return null;
+    }
+
+    const factIds = (puzzle.keyFacts || []).map(fact => fact.id).join(',');
+    return `${KEY_PREFIX}${puzzle.id}:${hashString(`${puzzle.truth || ''}\n${factIds}`)}:${hashString(normalized)}`;
+  }
+
+  /**
+   * 读取缓存的回答。读取失败时当作未命中
+   * @param {Object} puzzle - 题目
+   * @param {string} question - 问题
+   * @returns {Promise<Object|null>} 回答，未命中或已过期时返回 null
+   */
+  async get(puzzle, question) {
+    const key = this.buildKey(puzzle, question);
+    if (!key) {
+      return null;
+    }
+
+    try {
+      const entry = await this.store.get(key);
+      // 哈希相同但问题不同
+      if (!entry || entry.question !== normalizeQuestion(question)) {
+        return null;
+      }
+      if (entry.expiresAt && entry.expiresAt <= Date.now()) {
+        await this.store.delete(key);
+        return null;
+      }
+      return { ...entry.response };
+    } catch (error) {
+      console.warn('[Answer Cache] Failed to read cache:', error.message);
+      return null;
+    }
+  }
+
+  /**
+   * 缓存回答。写入失败不影响游戏
+   * @param {Object} puzzle - 题目
+   * @param {string} question - 问题
+   * @param {Object} response - 已校验的回答
+   */
+  async set(puzzle, question, response) {
+    const key = this.buildKey(puzzle, question);
+    if (!key) {
+      return;
+    }
+
+    const cached = {};
+    CACHED_FIELDS.forEach(field => {
+      if (response[field] !== undefined) {
+        cached[field] = response[field];
+      }
+    });
+
+    try {
+      await this.store.put(key, {
+        question: normalizeQuestion(question),
+        response: cached,
+        cachedAt: Date.now(),
+        expiresAt: this.ttl > 0 ? Date.now() + this.ttl * 1000 : null
+      }, this.ttl);
+    } catch (error) {
+      console.warn('[Answer Cache] Failed to write cache:', error.message);
+    }
+  }
+
+  /**
+   * 是否需要定期清理（存储能列出条目、且不会自动过期）
+   * @returns {boolean}
+   */
+  needsSweep() {
+    return typeof this.store.list === 'function';
+  }
+
+  /**
+   * 删除过期的条目；条目数超过 maxEntries 时再删除最早缓存的条目
+   * @returns {Promise<Object>} { removed, remaining }，清理失败时 remaining 为 null
+   */
+  async sweep() {
+    if (!this.needsSweep()) {
+      return { removed: 0, remaining: 0 };
+    }
+
+    try {
+      const entries = [...(await this.store.list(KEY_PREFIX)).entries()];
+      const now = Date.now();
+      const expired = entries.filter(([, entry]) => entry?.expiresAt && entry.expiresAt <= now);
+      const live = entries
+        .filter(([, entry]) => !(entry?.expiresAt && entry.expiresAt <= now))
+        .sort(([, a], [, b]) => (a?.cachedAt || 0) - (b?.cachedAt || 0));
+      const overflow = this.maxEntries > 0 ? live.slice(0, Math.max(0, live.length - this.maxEntries)) : [];
+
+      const removedKeys = [...expired, ...overflow].map(([key]) => key);
+      for (const key of removedKeys) {
+        await this.store.delete(key);
+      }
+      return { removed: removedKeys.length, remaining: entries.length - removedKeys.length };
+    } catch (error) {
+      console.warn('[Answer Cache] Failed to sweep cache:', error.message);
+      return { removed: 0, remaining: null };
+    }
+  }
+}
+
+/**
+ * 创建回答缓存
+ * @param {Object} store - 存储
+ * @param {Object} config - 缓存配置
+ * @returns {AnswerCache} 缓存实例
+ */
+export function createAnswerCache(store, config = {}) {
+  return new AnswerCache(store, config);
+}
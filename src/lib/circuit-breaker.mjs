@@ -0,0 +1,89 @@
+/**
+ * 熔断器：连续失败达到阈值后暂停调用，冷却结束后放行一次试探请求
+ */
+
+export const CircuitState = {
+  CLOSED: 'closed',       // 正常调用
+  OPEN: 'open',           // 已熔断，跳过调用
+  HALF_OPEN: 'half_open'  // 冷却结束，等待试探结果
+};
+
+export class CircuitBreaker {
+  /**
+   * @param {string} name - 名称（用于日志）
+   * @param {Object} options - { failureThreshold, cooldown }，cooldown 单位为毫秒
+   */
+  constructor(name, options = {}) {
+    this.name = name;
+    this.failureThreshold = options.failureThreshold || 3;
+    this.cooldown = options.cooldown || 60000;
+    this.state = CircuitState.CLOSED;
+    this.failures = 0;
+    this.openedAt = null;
+  }
+
+  /**
+   * 当前是否可以发起调用。冷却结束后只放行一次试探，结果出来之前其余调用仍被跳过
+   * @returns {boolean}
+   */
+  canRequest() {
+    if (this.state === CircuitState.CLOSED) {
+      return true;
+    }
+
+    if (this.state === CircuitState.OPEN && Date.now() - this.openedAt >= this.cooldown) {
+      this.state = CircuitState.HALF_OPEN;
+      console.log(`[Circuit Breaker] ${this.name} cooled down, probing`);
+      return true;
+    }
+
+    return false;
+  }
+
+  /**
+   * 记录一次成功调用
+   */
+  recordSuccess() {
+    if (this.state !== CircuitState.CLOSED) {
+      console.log(`[Circuit Breaker] ${this.name} recovered`);
+    }
+    this.state = CircuitState.CLOSED;
+    this.failures = 0;
+    this.openedAt = null;
+  }
+
+  /**
+   * 记录一次失败调用，试探失败或连续失败达到阈值时熔断
+   */
+  recordFailure() {
+    this.failures++;
+
+    if (this.state === CircuitState.HALF_OPEN || this.failures >= this.failureThreshold) {
+      this.state = CircuitState.OPEN;
+      this.openedAt = Date.now();
+      console.warn(`[Circuit Breaker] ${this.name} opened after ${this.failures} failures`);
+    }
+  }
+
+  /**
+   * @returns {Object} 状态摘要 { name, state, failures, openedAt }
+   */
+  getStatus() {
+    return {
+      name: this.name,
+      state: this.state,
+      failures: this.failures,
+      openedAt: this.openedAt
+    };
+  }
+}
+
+/**
+ * 创建熔断器实例
+ * @param {string} name - 名称
+ * @param {Object} options - { failureThreshold, cooldown }
+ * @returns {CircuitBreaker} 熔断器实例
+ */
+export function createCircuitBreaker(name, options = {}) {
+  return new CircuitBreaker(name, options);
+}
@@ -0,0 +1,562 @@
+/**
+ * LLM 服务适配器 - 把各家服务的请求、响应和错误转换成统一格式
+ *
+ * 统一的响应格式沿用 OpenAI 范式：
+ * { choices: [{ message: { role, content }, finish_reason }], usage: { prompt_tokens, completion_tokens, total_tokens } }
+ */
+
+import { ExternalAPIError } from './error-handler.mjs';
+import { createLLMScript } from './llm-script.mjs';
+import { estimateTokens } from './utils.mjs';
+
+/**
+ * 适配器基类：基于 HTTP 的服务只需提供地址、请求头、请求体和响应转换
+ */
+export class LLMProvider {
+  constructor(config = {}) {
+    this.name = 'base';
+    this.apiUrl = (config.apiUrl || '').replace(/\/+$/, '');
+    this.apiKey = config.apiKey || '';
+    // 是否能按 options.responseSchema 约束输出格式
+    this.supportsStructuredOutput = false;
+  }
+
+  /**
+   * 是否具备调用条件，不具备时 LLMClient 跳过这个服务
+   * @returns {boolean}
+   */
+  isConfigured() {
+    return !!(this.apiUrl && this.apiKey);
+  }
+
+  /**
+   * @returns {string} 请求地址
+   */
+  getEndpoint() {
+    return this.apiUrl;
+  }
+
+  /**
+   * @param {Object} options - 请求参数
+   * @returns {Object} 请求头
+   */
+  buildHeaders(options = {}) {
+    return {
+      'Content-Type': 'application/json',
+      ...options.headers
+    };
+  }
+
+  /**
+   * @param {Array} messages - 消息数组
+   * @param {Object} options - { model, maxTokens, temperature, stream, responseSchema, extraParams }
+   *                           responseSchema 为 response-schema.mjs 中的 { name, schema }
+   * @returns {Object} 请求体
+   */
+  buildBody(messages, options) {
+    throw new Error(`${this.name} provider does not implement buildBody`);
+  }
+
+  /**
+   * 发送请求
+   * @param {Array} messages - 消息数组
+   * @param {Object} options - 请求参数
+   * @param {AbortSignal} signal - 超时取消信号
+   * @returns {Promise<Response>} fetch响应
+   */
+  async send(messages, options, signal) {
+    return fetch(this.getEndpoint(), {
+      method: 'POST',
+      headers: this.buildHeaders(options),
+      body: JSON.stringify(this.buildBody(messages, options)),
+      signal: signal
+    });
+  }
+
+  /**
+   * 用于日志的请求描述，不含密钥
+   * @param {Array} messages - 消息数组
+   * @param {Object} options - 请求参数
+   * @returns {Object} { endpoint, body }
+   */
+  describeRequest(messages, options) {
+    return {
+      endpoint: this.getEndpoint(),
+      body: this.buildBody(messages, options)
+    };
+  }
+
+  /**
+   * 响应是否为流式
+   * @param {Response} response - fetch响应
+   * @returns {boolean}
+   */
+  isStreamResponse(response) {
+    return (response.headers.get('content-type') || '').includes('text/event-stream');
+  }
+
+  /**
+   * 把非流式响应转换成统一格式
+   * @param {Object} data - 服务返回的JSON
+   * @returns {Object} 统一格式的响应
+   */
+  normalizeResponse(data) {
+    return data;
+  }
+
+  /**
+   * 解析流式响应中的一行
+   * @param {string} line - 去掉首尾空白的一行
+   * @returns {Object|null} { delta, finishReason, usage }，与内容无关的行返回 null
+   */
+  parseStreamLine(line) {
+    const payload = this.getEventData(line);
+    if (!payload) {
+      return null;
+    }
+
+    const chunk = JSON.parse(payload);
+    const choice = chunk.choices?.[0];
+    return {
+      delta: choice?.delta?.content || '',
+      finishReason: choice?.finish_reason || null,
+      usage: chunk.usage || null
+    };
+  }
+
+  /**
+   * 取出 SSE 行中的数据部分
+   * @param {string} line - 一行 SSE 文本
+   * @returns {string|null} 数据，非数据行或结束标记返回 null
+   */
+  getEventData(line) {
+    if (!line.startsWith('data:')) {
+      return null;
+    }
+    const payload = line.slice(5).trim();
+    return payload && payload !== '[DONE]' ? payload : null;
+  }
+
+  /**
+   * 把错误响应转换成异常
+   * @param {number} status - HTTP状态码
+   * @param {string} text - 响应正文
+   * @returns {ExternalAPIError} 带 status 字段的异常，LLMClient 据此决定是否重试
+   */
+  createError(status, text) {
+    let message = text;
+    try {
+      message = this.extractErrorMessage(JSON.parse(text)) || text;
+    } catch {
+      // 正文不是JSON时直接使用原文
+    }
+
+    const error = new ExternalAPIError(`HTTP ${status}: ${message}`, this.name, status);
+    error.status = status;
+    return error;
+  }
+
+  /**
+   * @param {Object} body - 错误响应的JSON
+   * @returns {string|undefined} 错误描述
+   */
+  extractErrorMessage(body) {
+    return body?.error?.message;
+  }
+}
+
+/**
+ * OpenAI 及兼容 OpenAI 范式的服务
+ */
+export class OpenAIProvider extends LLMProvider {
+  constructor(config = {}) {
+    super(config);
+    this.name = 'openai';
+    this.supportsStructuredOutput = true;
+  }
+
+  getEndpoint() {
+    return `${this.apiUrl}/chat/completions`;
+  }
+
+  buildHeaders(options = {}) {
+    return {
+      'Content-Type': 'application/json',
+      'Authorization': `Bearer ${this.apiKey}`,
+      ...options.headers
+    };
+  }
+
+  buildBody(messages, options) {
+    return {
+      model: options.model,
+      messages: messages,
+      max_tokens: options.maxTokens,
+      temperature: options.temperature,
+      stream: options.stream,
+      // 流式响应的最后一段带上用量
+      ...(options.stream ? { stream_options: { include_usage: true } } : {}),
+      ...(options.responseSchema ? {
+        response_format: {
+          type: 'json_schema',
+          json_schema: { name: options.responseSchema.name, schema: options.responseSchema.schema, strict: false }
+        }
+      } : {}),
+      ...options.extraParams
+    };
+  }
+}
+
+/**
+ * Anthropic Messages API
+ */
+export class AnthropicProvider extends LLMProvider {
+  constructor(config = {}) {
+    super(config);
+    this.name = 'anthropic';
+    this.apiVersion = config.anthropicVersion || '2023-06-01';
+    this.supportsStructuredOutput = true;
+  }
+
+  getEndpoint() {
+    return `${this.apiUrl}/messages`;
+  }
+
+  buildHeaders(options = {}) {
+    return {
+      'Content-Type': 'application/json',
+      'x-api-key': this.apiKey,
+      'anthropic-version': this.apiVersion,
+      ...options.headers
+    };
+  }
+
+  buildBody(messages, options) {
+    // system 消息单独放在顶层字段
+    const system = messages
+      .filter(msg => msg.role === 'system')
+      .map(msg => msg.content)
+      .join('\n\n');
+
+    return {
+      model: options.model,
+      max_tokens: options.maxTokens,
+      temperature: options.temperature,
+      stream: options.stream,
+      ...(system ? { system: system } : {}),
+      messages: messages.filter(msg => msg.role !== 'system'),
+      // 没有 JSON 输出模式，用强制调用工具代替，工具参数就是回答
+      ...(options.responseSchema ? {
+        tools: [{
+          name: options.responseSchema.name,
+          description: '按要求的格式提交回答',
+          input_schema: options.responseSchema.schema
+        }],
+        tool_choice: { type: 'tool', name: options.responseSchema.name }
+      } : {}),
+      ...options.extraParams
+    };
+  }
+
+  normalizeResponse(data) {
+    const content = (data.content || [])
+      .map(block => block.type === 'tool_use' ? JSON.stringify(block.input) : block.text || '')
+      .join('');
+
+    return {
+      choices: [{
+        message: { role: 'assistant', content: content },
+        finish_reason: data.stop_reason || null
+      }],
+      usage: data.usage ? {
+        ...this.normalizeUsage(data.usage),
+        total_tokens: (data.usage.input_tokens || 0) + (data.usage.output_tokens || 0)
+      } : null
+    };
+  }
+
+  parseStreamLine(line) {
+    const payload = this.getEventData(line);
+    if (!payload) {
+      return null;
+    }
+
+    const event = JSON.parse(payload);
+    switch (event.type) {
+      case 'message_start':
+        return { delta: '', finishReason: null, usage: this.normalizeUsage(event.message?.usage) };
+      case 'content_block_delta':
+        // 工具调用的参数以 partial_json 分段给出
+        return { delta: event.delta?.text || event.delta?.partial_json || '', finishReason: null, usage: null };
+      case 'message_delta':
+        return { delta: '', finishReason: event.delta?.stop_reason || null, usage: this.normalizeUsage(event.usage) };
+      case 'error':
+        throw new ExternalAPIError(`Stream error: ${event.error?.message || 'unknown'}`, this.name);
+      default:
+        return null;
+    }
+  }
+
+  /**
+   * 流式响应中输入和输出用量分两次给出，缺少的部分不写入，由 LLMClient 合并
+   * @param {Object} usage - { input_tokens, output_tokens }
+   * @returns {Object|null} OpenAI 范式的用量
+   */
+  normalizeUsage(usage) {
+    if (!usage) {
+      return null;
+    }
+
+    const normalized = {};
+    if (typeof usage.input_tokens === 'number') {
+      normalized.prompt_tokens = usage.input_tokens;
+    }
+    if (typeof usage.output_tokens === 'number') {
+      normalized.completion_tokens = usage.output_tokens;
+    }
+    return normalized;
+  }
+}
+
+/**
+ * 本地 Ollama 服务（/api/chat），不需要密钥
+ */
+export class OllamaProvider extends LLMProvider {
+  constructor(config = {}) {
+    super(config);
+    this.name = 'ollama';
+    this.supportsStructuredOutput = true;
+  }
+
+  isConfigured() {
+    return !!this.apiUrl;
+  }
+
+  getEndpoint() {
+    return `${this.apiUrl}/api/chat`;
+  }
+
+  buildBody(messages, options) {
+    return {
+      model: options.model,
+      messages: messages,
+      // Ollama 默认流式，必须显式指定
+      stream: !!options.stream,
+      options: {
+        temperature: options.temperature,
+        num_predict: options.maxTokens
+      },
+      ...(options.responseSchema ? { format: options.responseSchema.schema } : {}),
+      ...options.extraParams
+    };
+  }
+
+  isStreamResponse(response) {
+    return (response.headers.get('content-type') || '').includes('application/x-ndjson');
+  }
+
+  normalizeResponse(data) {
+    return {
+      choices: [{
+        message: { role: 'assistant', content: data.message?.content || '' },
+        finish_reason: data.done_reason || null
+      }],
+      usage: this.normalizeUsage(data)
+    };
+  }
+
+  parseStreamLine(line) {
+    // 每行是一个完整的JSON对象
+    const chunk = JSON.parse(line);
+    if (chunk.error) {
+      throw new ExternalAPIError(`Stream error: ${chunk.error}`, this.name);
+    }
+
+    return {
+      delta: chunk.message?.content || '',
+      finishReason: chunk.done ? (chunk.done_reason || 'stop') : null,
+      usage: chunk.done ? this.normalizeUsage(chunk) : null
+    };
+  }
+
+  extractErrorMessage(body) {
+    return typeof body?.error === 'string' ? body.error : body?.error?.message;
+  }
+
+  /**
+   * @param {Object} data - 带 prompt_eval_count / eval_count 的响应
+   * @returns {Object} OpenAI 范式的用量
+   */
+  normalizeUsage(data) {
+    const promptTokens = data.prompt_eval_count || 0;
+    const completionTokens = data.eval_count || 0;
+    return {
+      prompt_tokens: promptTokens,
+      completion_tokens: completionTokens,
+      total_tokens: promptTokens + completionTokens
+    };
+  }
+}
+
+/**
+ * Cloudflare Workers AI 绑定（wrangler.toml 中的 [ai] binding），不经过 HTTP
+ */
+export class WorkersAIProvider extends LLMProvider {
+  constructor(config = {}, binding = null) {
+    super(config);
+    this.name = 'workers-ai';
+    this.binding = binding;
+    this.bindingName = config.aiBinding || 'AI';
+    this.supportsStructuredOutput = true;
+  }
+
+  isConfigured() {
+    return !!(this.binding && typeof this.binding.run === 'function');
+  }
+
+  getEndpoint() {
+    return `binding:${this.bindingName}`;
+  }
+
+  buildBody(messages, options) {
+    return {
+      messages: messages,
+      max_tokens: options.maxTokens,
+      temperature: options.temperature,
+      stream: !!options.stream,
+      ...(options.responseSchema ? {
+        response_format: { type: 'json_schema', json_schema: options.responseSchema.schema }
+      } : {}),
+      ...options.extraParams
+    };
+  }
+
+  /**
+   * 调用绑定并包装成 fetch 响应，之后的处理与 HTTP 服务相同
+   */
+  async send(messages, options, signal) {
+    try {
+      const result = await this.binding.run(options.model, this.buildBody(messages, options));
+
+      if (result instanceof ReadableStream) {
+        return new Response(result, { headers: { 'content-type': 'text/event-stream' } });
+      }
+      return Response.json(result);
+
+    } catch (error) {
+      // 绑定只抛出普通异常，没有状态码，按服务端错误处理（可重试）
+      const wrapped = new ExternalAPIError(error.message, this.name, 500);
+      wrapped.status = 500;
+      throw wrapped;
+    }
+  }
+
+  normalizeResponse(data) {
+    return {
+      choices: [{
+        message: { role: 'assistant', content: data.response || '' },
+        finish_reason: 'stop'
+      }],
+      usage: data.usage || null
+    };
+  }
+
+  parseStreamLine(line) {
+    const payload = this.getEventData(line);
+    if (!payload) {
+      return null;
+    }
+
+    const chunk = JSON.parse(payload);
+    return {
+      delta: chunk.response || '',
+      finishReason: null,
+      usage: chunk.usage || null
+    };
+  }
+}
+
+/**
+ * 按夹具（config.script，格式见 llm-script.mjs）回答，不发出任何网络请求，用于离线测试。
+ * 响应和流式输出都按 OpenAI 范式生成，用量按文字长度估算
+ */
+export class ScriptedProvider extends LLMProvider {
+  constructor(config = {}) {
+    super(config);
+    this.name = 'scripted';
+    this.script = config.script ? createLLMScript(config.script) : null;
+  }
+
+  isConfigured() {
+    return !!this.script;
+  }
+
+  getEndpoint() {
+    return 'script';
+  }
+
+  buildBody(messages, options) {
+    return {
+      messages: messages,
+      stream: !!options.stream
+    };
+  }
+
+  async send(messages, options, signal) {
+    const content = this.script.respond(messages);
+    if (content === null) {
+      return Response.json({ error: { message: 'No scripted response matches this request' } }, { status: 404 });
+    }
+
+    const promptTokens = messages.reduce((sum, msg) => sum + estimateTokens(msg.content), 0);
+    const completionTokens = estimateTokens(content);
+    const usage = {
+      prompt_tokens: promptTokens,
+      completion_tokens: completionTokens,
+      total_tokens: promptTokens + completionTokens
+    };
+
+    if (!options.stream) {
+      return Response.json({
+        choices: [{ message: { role: 'assistant', content: content }, finish_reason: 'stop' }],
+        usage: usage
+      });
+    }
+
+    const lines = [];
+    for (let i = 0; i < content.length; i += 8) {
+      lines.push(`data: ${JSON.stringify({ choices: [{ delta: { content: content.slice(i, i + 8) } }] })}`);
+    }
+    lines.push(`data: ${JSON.stringify({ choices: [{ delta: {}, finish_reason: 'stop' }], usage: usage })}`);
+    lines.push('data: [DONE]');
+    return new Response(lines.join('\n\n') + '\n\n', { headers: { 'content-type': 'text/event-stream' } });
+  }
+}
+
+/**
+ * 可用的适配器
+ */
+export const LLM_PROVIDERS = ['openai', 'anthropic', 'ollama', 'workers-ai', 'scripted'];
+
+/**
+ * 按配置创建适配器
+ * @param {Object} config - LLM配置（config.llm），provider 为空时使用 openai
+ * @param {Object} bindings - Workers 环境绑定 { ai }
+ * @returns {LLMProvider} 适配器实例
+ */
+export function createLLMProvider(config = {}, bindings = {}) {
+  switch (config.provider || 'openai') {
+    case 'openai':
+      return new OpenAIProvider(config);
+    case 'anthropic':
+      return new AnthropicProvider(config);
+    case 'ollama':
+      return new OllamaProvider(config);
+    case 'workers-ai':
+      return new WorkersAIProvider(config, bindings.ai || null);
+    case 'scripted':
+      return new ScriptedProvider(config);
+    default:
+      throw new Error(`Unknown LLM provider: ${config.provider}`);
+  }
+}
@@ -0,0 +1,134 @@
+/**
+ * 脚本化的 LLM 回答：按问题匹配夹具中预先写好的回答，用于不联网的端到端测试；
+ * 也可以录制真实服务的回答，导出成同样格式的夹具回放
+ *
+ * 夹具格式：
+ * {
+ *   "rules": [
+ *     { "type": "answer", "match": "杂技", "response": { "answer": "是", "score": 8, "feedback": "...", "progress": 40 } },
+ *     { "pattern": "^她.*死", "responses": ["不是JSON的回答", { "answer": "不是", ... }] },
+ *     { "type": "judgement", "exact": "她是杂技演员……", "response": { "verdict": "correct", ... } }
+ *   ]
+ * }
+ *
+ * - type：answer（回答问题）、verification（复核）或 judgement（判定最终答案），省略时匹配任意请求
+ * - match 为问题包含的文字，pattern 为正则表达式，exact 为完全相同的问题；按顺序取第一条匹配的规则
+ * - response 为对象时按 JSON 返回，为字符串时原样返回（可以用来测试格式修正）；
+ *   responses 每次匹配依次返回下一个，用完后重复最后一个
+ */
+
+import { safeJsonParse } from './utils.mjs';
+import { unwrapPlayerInput } from './prompt-guard.mjs';
+
+/**
+ * 从发给 LLM 的消息中找出请求类型和玩家的原话
+ * @param {Array} messages - 消息数组
+ * @returns {Object} { type, text }
+ */
+export function describeScriptRequest(messages) {
+  const content = messages.find(msg => msg.role === 'user')?.content || '';
+
+  if (content.includes('**玩家推理：**')) {
+    return { type: 'judgement', text: extractSection(content, '玩家推理') };
+  }
+
+  const type = content.includes('**待复核的回答：**') ? 'verification' : 'answer';
+  return { type: type, text: extractSection(content, '玩家问题') };
+}
+
+/**
+ * @param {string} content - 提示词
+ * @param {string} label - 小节标题，如"玩家问题"
+ * @returns {string} 小节内容，到空行为止
+ */
+function extractSection(content, label) {
+  const match = content.match(new RegExp(`\\*\\*${label}：\\*\\*([\\s\\S]*?)(?:\\n\\n|$)`));
+  return unwrapPlayerInput(match?.[1]);
+}
+
+export class LLMScript {
+  /**
+   * @param {Object} fixture - 夹具 { rules }
+   */
+  constructor(fixture = {}) {
+    this.rules = (fixture.rules || []).map(rule => ({ ...rule }));
+    // 每条规则已经返回过几次
+    this.calls = new Map();
+  }
+
+  /**
+   * 找出请求对应的规则
+   * @param {Object} request - describeScriptRequest() 的结果
+   * @returns {Object|null} 规则
+   */
+  findRule(request) {
+    return this.rules.find(rule => {
+      if (rule.type && rule.type !== request.type) {
+        return false;
+      }
+      if (rule.exact !== undefined) {
+        return request.text === rule.exact;
+      }
+      if (rule.pattern !== undefined) {
+        return new RegExp(rule.pattern).test(request.text);
+      }
+      if (rule.match !== undefined) {
+        return request.text.includes(rule.match);
+      }
+      return true;
+    }) || null;
+  }
+
+  /**
+   * 按夹具回答
+   * @param {Array} messages - 消息数组
+   * @returns {string|null} 回答内容，没有匹配的规则时返回 null
+   */
+  respond(messages) {
+    const rule = this.findRule(describeScriptRequest(messages));
+    if (!rule) {
+      return null;
+    }
+
+    const responses = rule.responses || [rule.response];
+    const count = this.calls.get(rule) || 0;
+    this.calls.set(rule, count + 1);
+
+    const response = responses[Math.min(count, responses.length - 1)];
+    return typeof response === 'string' ? response : JSON.stringify(response);
+  }
+
+  /**
+   * 录制一次真实的请求和回答。同一个问题再次出现时（例如格式修正）追加到同一条规则的 responses
+   * @param {Array} messages - 消息数组
+   * @param {string} content - 服务返回的内容
+   */
+  record(messages, content) {
+    const { type, text } = describeScriptRequest(messages);
+    const response = safeJsonParse(content, content);
+
+    const existing = this.rules.find(rule => rule.type === type && rule.exact === text);
+    if (existing) {
+      existing.responses.push(response);
+      return;
+    }
+
+    this.rules.push({ type: type, exact: text, responses: [response] });
+  }
+
+  /**
+   * @returns {Object} 夹具格式的数据
+   */
+  toJSON() {
+    return { rules: this.rules };
+  }
+}
+
+/**
+ * 创建脚本实例
+ * @param {Object} fixture - 夹具
+ * @returns {LLMScript} 脚本实例
+ */
+export function createLLMScript(fixture = {}) {
+  return new LLMScript(fixture);
+}
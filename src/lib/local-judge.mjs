@@ -0,0 +1,143 @@
+/**
+ * 本地裁判：不调用LLM，仅根据题目汤底和关键词确定性地回答问题
+ */
+
+// 提问时常见的疑问词和语气词，比较前先去掉
+const QUESTION_PATTERNS = /是不是|是否|有没有|会不会|能不能|可不可以/g;
+const FILLER_CHARS = /[吗呢吧啊呀嘛？?！!。，,、：:；;“”"'‘’（）()\s]/g;
+
+// 去掉疑问词后仍然包含这些字，说明玩家在问否定的情况
+const NEGATION_CHARS = /[不没无非未]/;
+
+export class LocalJudge {
+  /**
+   * 回答一个问题。同一题目同一问题总是得到相同的结果
+   * @param {Object} puzzle - 完整题目（含汤底和关键词）
+   * @param {string} question - 玩家问题
+   * @returns {Object} { answer, score, feedback, formatted }
+   */
+  judge(puzzle, question) {
+    const core = this.normalizeQuestion(question);
+    if (!core) {
+      return this.buildResult('没有关系', 1, '请提出一个具体的问题');
+    }
+
+    const keywordHits = (puzzle.keywords || []).filter(keyword => core.includes(keyword));
+    const truthOverlap = this.calculateOverlap(core, puzzle.truth || '');
+
+    let answer;
+    if (keywordHits.length > 0 || truthOverlap >= 0.5) {
+      answer = '是';
+    } else if (truthOverlap >= 0.25) {
+      answer = '是也不是';
+    } else {
+      answer = '没有关系';
+    }
+
+    // 否定问法命中了汤底，但汤底里并没有这个否定说法
+    if (answer === '是' && NEGATION_CHARS.test(core) && !this.hasNegatedPhrase(core, puzzle.truth || '')) {
+      answer = '不是';
+    }
+
+    const score = Math.max(1, Math.min(10,
+      2 + Math.min(keywordHits.length, 3) * 2 + Math.round(truthOverlap * 4)
+    ));
+
+    return this.buildResult(answer, score, this.getFeedback(score));
+  }
+
+  /**
+   * 去掉疑问词、语气词和标点
+   * @param {string} question - 玩家问题
+   * @returns {string} 问题主干
+   */
+  normalizeQuestion(question) {
+    return (question || '')
+      .replace(QUESTION_PATTERNS, '')
+      .replace(FILLER_CHARS, '')
+      .toLowerCase();
+  }
+
+  /**
+   * 问题主干中有多少比例的二字组出现在汤底中
+   * @param {string} core - 问题主干
+   * @param {string} truth - 汤底
+   * @returns {number} 0-1之间的重合度
+   */
+  calculateOverlap(core, truth) {
+    const questionGrams = this.toBigrams(core);
+    if (questionGrams.size === 0) {
+      return truth.includes(core) ? 1 : 0;
+    }
+
+    const truthGrams = this.toBigrams(truth.replace(FILLER_CHARS, ''));
+    let shared = 0;
+    questionGrams.forEach(gram => {
+      if (truthGrams.has(gram)) {
+        shared++;
+      }
+    });
+
+    return shared / questionGrams.size;
+  }
+
+  /**
+   * 汤底中是否也有问题里的否定说法（如"看不到"）
+   * @param {string} core - 问题主干
+   * @param {string} truth - 汤底
+   * @returns {boolean}
+   */
+  hasNegatedPhrase(core, truth) {
+    for (let i = 0; i < core.length; i++) {
+      // 连同后面两个字一起比较，避免"不是"这类常见搭配误判
+      if (NEGATION_CHARS.test(core[i]) && truth.includes(core.slice(i, i + 3))) {
+        return true;
+      }
+    }
+    return false;
+  }
+
+  /**
+   * @param {string} text
+   * @returns {Set<string>} 文本中所有相邻二字组
+   */
+  toBigrams(text) {
+    const grams = new Set();
+    for (let i = 0; i < text.length - 1; i++) {
+      grams.add(text.slice(i, i + 2));
+    }
+    return grams;
+  }
+
+  /**
+   * 根据得分给出问题评价
+   * @param {number} score - 问题得分
+   * @returns {string} 评价
+   */
+  getFeedback(score) {
+    if (score >= 8) return '直击核心';
+    if (score >= 6) return '方向正确';
+    if (score >= 4) return '有一定价值';
+    return '偏离方向';
+  }
+
+  /**
+   * @returns {Object} 裁判结果
+   */
+  buildResult(answer, score, feedback) {
+    return {
+      answer: answer,
+      score: score,
+      feedback: feedback,
+      formatted: `${answer}（${feedback}，得分：${score}分）`
+    };
+  }
+}
+
+/**
+ * 创建本地裁判实例
+ * @returns {LocalJudge} 本地裁判实例
+ */
+export function createLocalJudge() {
+  return new LocalJudge();
+}
@@ -0,0 +1,148 @@
+/**
+ * 提示词注入防护：隔离玩家输入、识别注入企图、在广播前检查输出是否泄露汤底
+ */
+
+/**
+ * 提示词中包裹玩家输入的标签
+ */
+export const PLAYER_INPUT_TAG = 'player_input';
+
+const PLAYER_INPUT_TAG_PATTERN = new RegExp(`<\\s*/?\\s*${PLAYER_INPUT_TAG}\\s*>`, 'gi');
+
+/**
+ * 常见的注入写法：要求忽略规则、索要汤底或提示词、伪造对话角色、自己写分隔标签。
+ * 只拦对主持人的命令（"告诉我汤底""输出系统提示"），不拦故事里的"真相"：
+ * "他说出了真相吗""他是不是没有透露真相""他给我们的信息里有真相吗"都是正常的问题
+ */
+const INJECTION_PATTERNS = [
+  /ignore\s+(all\s+|any\s+|the\s+)?(previous|above|prior|earlier)\s+(instructions?|prompts?|rules?)/i,
+  /(disregard|forget)\s+(all\s+|the\s+|your\s+)?(previous\s+|above\s+)?(instructions?|rules?)/i,
+  /(system|developer)\s+prompt/i,
+  /(^|\n)\s*(system|assistant|developer)\s*[:：]/i,
+  /(忽略|无视|忘掉|忘记|跳过)(掉)?(之前|以上|上面|前面|所有|全部|你的)?的?(指令|指示|规则|提示|设定|要求|限制)/,
+  /(^|[\s，,。！!？?；;：:]|请|你|主持人)(直接|马上|现在)?(告诉我|给我|发给我|输出|打印|复述|念出|重复)(一下|一遍)?.{0,6}(汤底|谜底|提示词|系统提示|system)/i,
+  /把.{0,6}(汤底|谜底|提示词|系统提示)(原样|完整)?(告诉我|发给我|输出|打印|复述|念出|重复|说出来)/,
+  /(汤底|谜底)(是什么|是啥|的内容|原文|全文)/,
+  new RegExp(PLAYER_INPUT_TAG_PATTERN.source, 'i')
+];
+
+/**
+ * 去掉空白和标点，只保留文字，方便比较
+ * @param {string} text
+ * @returns {string}
+ */
+function normalizeText(text) {
+  return (text || '').toLowerCase().replace(/[\s\p{P}\p{S}]/gu, '');
+}
+
+/**
+ * @param {string} text - 已规范化的文本
+ * @returns {Set<string>} 所有相邻两字
+ */
+function bigrams(text) {
+  const result = new Set();
+  for (let i = 0; i < text.length - 1; i++) {
+    result.add(text.slice(i, i + 2));
+  }
+  return result;
+}
+
+export class PromptGuard {
+  /**
+   * @param {Object} config - 安全配置（config.security）
+   */
+  constructor(config = {}) {
+    this.injectionDetection = config.injectionDetection !== false;
+    this.leakScreening = config.leakScreening !== false;
+    this.leakMinLength = config.leakMinLength || 6;
+    this.leakOverlapThreshold = config.leakOverlapThreshold || 0.6;
+  }
+
+  /**
+   * 玩家输入是否像注入企图
+   * @param {string} text - 玩家输入
+   * @returns {boolean}
+   */
+  detectInjection(text) {
+    if (!this.injectionDetection || !text) {
+      return false;
+    }
+    return INJECTION_PATTERNS.some(pattern => pattern.test(text));
+  }
+
+  /**
+   * 检查要发给玩家的文字是否原样或几乎原样地包含汤底。汤面和玩家自己说过的话是公开的，不算泄露
+   * @param {string} text - 待检查的文字
+   * @param {string} truth - 汤底
+   * @param {Array<string>} publicTexts - 公开的文字（汤面、玩家的问题等）
+   * @returns {Object|null} { reason: 'verbatim' | 'overlap', length?, ratio? }，没有泄露时返回 null
+   */
+  findTruthLeak(text, truth, publicTexts = []) {
+    if (!this.leakScreening || !text || !truth) {
+      return null;
+    }
+
+    const candidate = normalizeText(text);
+    const secret = normalizeText(truth);
+    const publicText = publicTexts.map(normalizeText).join('|');
+
+    // 原样泄露：与汤底相同、且不在公开文字中的最长片段
+    let longest = 0;
+    for (let start = 0; start + longest < candidate.length; start++) {
+      let end = start + longest + 1;
+      while (end <= candidate.length && secret.includes(candidate.slice(start, end))) {
+        const fragment = candidate.slice(start, end);
+        if (fragment.length > longest && !publicText.includes(fragment)) {
+          longest = fragment.length;
+        }
+        end++;
+      }
+    }
+    if (longest >= this.leakMinLength) {
+      return { reason: 'verbatim', length: longest };
+    }
+
+    // 改写后的泄露：大部分相邻两字都只出现在汤底中
+    const publicBigrams = bigrams(publicText);
+    const secretBigrams = [...bigrams(secret)].filter(bigram => !publicBigrams.has(bigram));
+    const candidateBigrams = bigrams(candidate);
+    const shared = secretBigrams.filter(bigram => candidateBigrams.has(bigram)).length;
+    const ratio = candidateBigrams.size > 0 ? shared / candidateBigrams.size : 0;
+    if (shared >= this.leakMinLength && ratio >= this.leakOverlapThreshold) {
+      return { reason: 'overlap', ratio: Math.round(ratio * 100) / 100 };
+    }
+
+    return null;
+  }
+}
+
+/**
+ * 清理玩家输入并包上分隔标签：去掉玩家自己写的标签，合并换行，防止伪造提示词的其他小节
+ * @param {string} text - 玩家输入
+ * @returns {string} 可以放进提示词的文本
+ */
+export function wrapPlayerInput(text) {
+  const cleaned = (text || '')
+    .replace(PLAYER_INPUT_TAG_PATTERN, '')
+    .replace(/\s+/g, ' ')
+    .trim();
+  return `<${PLAYER_INPUT_TAG}>${cleaned}</${PLAYER_INPUT_TAG}>`;
+}
+
+/**
+ * 从提示词中的一行取出玩家原话（去掉分隔标签）
+ * @param {string} text - 包含分隔标签的文本
+ * @returns {string} 玩家输入
+ */
+export function unwrapPlayerInput(text) {
+  return (text || '').replace(PLAYER_INPUT_TAG_PATTERN, '').trim();
+}
+
+/**
+ * 创建防护实例
+ * @param {Object} config - 安全配置
+ * @returns {PromptGuard} 防护实例
+ */
+export function createPromptGuard(config = {}) {
+  return new PromptGuard(config);
+}
@@ -15,7 +15,15 @@ const puzzlesData = {
       "tags": ["职业", "意外", "生活"],
       "surface": "一个女人在家里看到镜子碎了，然后就自杀了。为什么？",
       "truth": "她是一个杂技演员，靠走钢丝为生。她在家练习时用镜子来观察自己的动作。镜子碎了意味着她看不到自己的动作，在演出中可能会失足死亡。她选择自杀而不是面对这种危险。",
+      "reveal": ["她是一名杂技演员，靠走钢丝为生。", "她平时在家对着镜子练习，靠镜子观察自己的动作。"],
       "keywords": ["杂技", "钢丝", "练习", "镜子", "职业", "危险"],
+      "keyFacts": [
+        { "id": "acrobat", "statement": "她是靠走钢丝为生的杂技演员" },
+        { "id": "mirror_practice", "statement": "她在家用镜子观察自己练习的动作" },
+        { "id": "cannot_see", "statement": "镜子碎了，她看不到自己的动作" },
+        { "id": "fatal_risk", "statement": "没有镜子练习，演出时可能失足丧命" },
+        { "id": "chose_suicide", "statement": "她选择自杀而不是面对这种危险" }
+      ],
       "hints": [
         "镜子对她的职业非常重要",
         "她的工作需要精确的身体控制",
@@ -31,7 +39,14 @@ const puzzlesData = {
       "tags": ["身份", "秘密", "恐惧"],
       "surface": "一个男人在深夜使用电话亭打电话，突然看到一个人向他走来，他立刻挂掉电话逃跑了。为什么？",
       "truth": "这个男人是个逃犯，他在使用电话亭时看到了警察向他走来。他意识到自己可能被发现了，所以立刻逃跑。",
+      "reveal": ["这个男人是一名正在被通缉的逃犯。", "向他走来的人是一名警察。"],
       "keywords": ["逃犯", "警察", "身份", "追捕", "恐惧", "逃跑"],
+      "keyFacts": [
+        { "id": "fugitive", "statement": "这个男人是逃犯" },
+        { "id": "police", "statement": "向他走来的人是警察" },
+        { "id": "fear_exposed", "statement": "他担心自己的身份被发现" },
+        { "id": "fled", "statement": "他为了不被抓住而逃跑" }
+      ],
       "hints": [
         "男人有不可告人的秘密",
         "走来的人代表某种威胁",
@@ -47,7 +62,15 @@ const puzzlesData = {
       "tags": ["家庭", "背叛", "发现"],
       "surface": "一个男人雨夜回家，用钥匙开门进入，发现客厅的灯是亮着的，但是他立刻转身离开了。为什么？",
       "truth": "男人出差回来，按约定如果妻子一个人在家，客厅应该关灯。灯亮着说明家里有其他人。他意识到妻子可能在外遇，选择离开避免尴尬的confrontation。",
+      "reveal": ["他和妻子有个约定：妻子一个人在家时，客厅的灯要关着。", "灯亮着，说明家里还有别人。"],
       "keywords": ["出差", "约定", "外遇", "信号", "背叛", "发现"],
+      "keyFacts": [
+        { "id": "business_trip", "statement": "男人出差刚回来" },
+        { "id": "light_signal", "statement": "夫妻约定妻子独自在家时客厅关灯" },
+        { "id": "someone_else", "statement": "灯亮着说明家里还有别人" },
+        { "id": "affair", "statement": "他意识到妻子可能有外遇" },
+        { "id": "avoid_confrontation", "statement": "他离开是为了避免当面冲突" }
+      ],
       "hints": [
         "他和家人之间有某种约定",
         "灯的状态传达了一个信息",
@@ -63,7 +86,14 @@ const puzzlesData = {
       "tags": ["心理", "恐惧", "错觉"],
       "surface": "一个女人坐电梯到20楼，但在18楼突然按了紧急停止按钮冲出电梯。为什么？",
       "truth": "她发现电梯里只有她一个人，但是按钮面板上20楼的按钮是亮着的，说明有人按过。她意识到可能有人躲在电梯里，或者有其他异常情况，出于恐惧选择逃离。",
+      "reveal": ["电梯里看起来只有她一个人。", "可按钮面板显示有人按过按钮，她怀疑有人躲在电梯里。"],
       "keywords": ["电梯", "按钮", "一个人", "异常", "恐惧", "逃离"],
+      "keyFacts": [
+        { "id": "alone", "statement": "电梯里只有她一个人" },
+        { "id": "button_pressed", "statement": "20楼的按钮早已被人按亮" },
+        { "id": "hidden_person", "statement": "她怀疑有人躲在电梯里" },
+        { "id": "fled_in_fear", "statement": "她出于恐惧逃离电梯" }
+      ],
       "hints": [
         "电梯里的某个细节很不正常",
         "她发现了矛盾的现象",
@@ -79,7 +109,14 @@ const puzzlesData = {
       "tags": ["网络", "隐私", "跟踪"],
       "surface": "一个男人收到一个包裹，打开后立刻报警。包裹里装的是一本普通的书。为什么？",
       "truth": "这本书是他昨天在网上浏览但没有购买的，而且包裹上的地址精确到了他的具体房间号，这说明有人在跟踪他的网络行为和实际位置，这是一种威胁和警告。",
+      "reveal": ["这本书是他前一天在网上看过、但没有买的。", "包裹上的地址精确到了他的房间号。"],
       "keywords": ["网购", "浏览记录", "跟踪", "隐私", "威胁", "警告"],
+      "keyFacts": [
+        { "id": "browsed_book", "statement": "这本书是他前一天在网上浏览过但没买的" },
+        { "id": "exact_address", "statement": "包裹地址精确到他的房间号" },
+        { "id": "being_tracked", "statement": "有人在跟踪他的网络行为和实际位置" },
+        { "id": "threat", "statement": "这个包裹是一种威胁和警告" }
+      ],
       "hints": [
         "他从来没有买过这本书",
         "但这本书跟他有某种联系",
@@ -95,7 +132,15 @@ const puzzlesData = {
       "tags": ["时间", "家庭", "异常"],
       "surface": "一个女人深夜接到丈夫的电话，丈夫说他在加班，但她立刻知道丈夫在撒谎。为什么？",
       "truth": "电话里传来了钟声，是整点报时的钟声。但她知道丈夫的办公室里没有这样的钟，而且那个钟声她很熟悉——那是她娘家的钟声。说明丈夫在她娘家，可能和她的姐妹有不正当关系。",
+      "reveal": ["电话里传来了整点报时的钟声。", "丈夫的办公室里没有这样的钟，而这个钟声她很熟悉——那是她娘家的钟。"],
       "keywords": ["钟声", "办公室", "娘家", "背景音", "撒谎", "外遇"],
+      "keyFacts": [
+        { "id": "clock_chime", "statement": "电话里传来整点报时的钟声" },
+        { "id": "no_office_clock", "statement": "丈夫的办公室里没有这样的钟" },
+        { "id": "family_clock", "statement": "那是她娘家的钟声" },
+        { "id": "at_her_family", "statement": "丈夫其实在她娘家" },
+        { "id": "affair_sister", "statement": "丈夫可能和她的姐妹有不正当关系" }
+      ],
       "hints": [
         "电话里有特殊的背景音",
         "这个声音她很熟悉",
@@ -150,6 +195,26 @@ export class PuzzleManager {
    * @returns {Object|null} 随机题目
    */
   getRandomPuzzle(filters = {}) {
+    const filteredPuzzles = this.filterPuzzles(filters);
+
+    if (filteredPuzzles.length === 0) {
+      console.warn(`[Puzzle Manager] No puzzles match the filters:`, filters);
+      return null;
+    }
+
+    const randomIndex = Math.floor(Math.random() * filteredPuzzles.length);
+    const selectedPuzzle = filteredPuzzles[randomIndex];
+    
+    console.log(`[Puzzle Manager] Selected random puzzle: ${selectedPuzzle.title}`);
+    return { ...selectedPuzzle };
+  }
+
+  /**
+   * 按条件过滤题目
+   * @param {Object} filters - 过滤条件 { difficulty, category, tags, excludeIds }
+   * @returns {Array} 符合条件的题目（原对象，调用方需要自行复制）
+   */
+  filterPuzzles(filters = {}) {
     let filteredPuzzles = [...this.puzzles];
 
     // 按难度过滤
@@ -169,7 +234,7 @@ export class PuzzleManager {
     // 按标签过滤
     if (filters.tags && filters.tags.length > 0) {
       filteredPuzzles = filteredPuzzles.filter(p => 
-        filters.tags.some(tag => p.tags.includes(tag))
+        filters.tags.some(tag => (p.tags || []).includes(tag))
       );
     }
 
@@ -180,16 +245,7 @@ export class PuzzleManager {
       );
     }
 
-    if (filteredPuzzles.length === 0) {
-      console.warn(`[Puzzle Manager] No puzzles match the filters:`, filters);
-      return null;
-    }
-
-    const randomIndex = Math.floor(Math.random() * filteredPuzzles.length);
-    const selectedPuzzle = filteredPuzzles[randomIndex];
-    
-    console.log(`[Puzzle Manager] Selected random puzzle: ${selectedPuzzle.title}`);
-    return { ...selectedPuzzle };
+    return filteredPuzzles;
   }
 
   /**
@@ -255,9 +311,10 @@ export class PuzzleManager {
   /**
    * 搜索题目
    * @param {string} keyword - 搜索关键词
+   * @param {Object} options - { publicOnly: 只搜索标题、汤面和标签，不按汤底和关键词匹配，避免通过搜索结果猜出汤底 }
    * @returns {Array} 匹配的题目列表
    */
-  searchPuzzles(keyword) {
+  searchPuzzles(keyword, options = {}) {
     if (!keyword || keyword.trim().length === 0) {
       return [];
     }
@@ -265,16 +322,45 @@ export class PuzzleManager {
     const searchTerm = keyword.toLowerCase().trim();
     
     return this.puzzles.filter(puzzle => {
-      return (
+      const publicMatch = (
         puzzle.title.toLowerCase().includes(searchTerm) ||
         puzzle.surface.toLowerCase().includes(searchTerm) ||
+        (puzzle.tags || []).some(t => t.toLowerCase().includes(searchTerm))
+      );
+      if (publicMatch || options.publicOnly) {
+        return publicMatch;
+      }
+      return (
         puzzle.truth.toLowerCase().includes(searchTerm) ||
-        puzzle.keywords.some(k => k.toLowerCase().includes(searchTerm)) ||
-        puzzle.tags.some(t => t.toLowerCase().includes(searchTerm))
+        (puzzle.keywords || []).some(k => k.toLowerCase().includes(searchTerm))
       );
     }).map(p => ({ ...p }));
   }
 
+  /**
+   * 题目目录：按条件过滤（可加关键词搜索），只返回选题时可以公开的字段
+   * @param {Object} filters - 过滤条件 { difficulty, category, tags, keyword }
+   * @returns {Array} [{ id, title, difficulty, category, tags, surface, hintCount }]
+   */
+  getCatalog(filters = {}) {
+    let puzzles = this.filterPuzzles(filters);
+
+    if (filters.keyword && filters.keyword.trim()) {
+      const matchedIds = new Set(this.searchPuzzles(filters.keyword, { publicOnly: true }).map(p => p.id));
+      puzzles = puzzles.filter(p => matchedIds.has(p.id));
+    }
+
+    return puzzles.map(puzzle => ({
+      id: puzzle.id,
+      title: puzzle.title,
+      difficulty: puzzle.difficulty,
+      category: puzzle.category,
+      tags: puzzle.tags || [],
+      surface: puzzle.surface,
+      hintCount: (puzzle.hints || []).length
+    }));
+  }
+
   /**
    * 获取统计信息
    * @returns {Object} 题库统计信息
@@ -299,7 +385,7 @@ export class PuzzleManager {
 
     // 按标签统计
     this.puzzles.forEach(puzzle => {
-      puzzle.tags.forEach(tag => {
+      (puzzle.tags || []).forEach(tag => {
         stats.byTags[tag] = (stats.byTags[tag] || 0) + 1;
       });
     });
@@ -307,6 +393,31 @@ export class PuzzleManager {
     return stats;
   }
 
+  /**
+   * 题目的提示阶梯，由浅入深排列
+   * @param {Object} puzzle - 题目对象
+   * @returns {Array} [{ text, cost }]，cost 为题目指定的价格，没有指定时为 null
+   */
+  getHints(puzzle) {
+    return (puzzle?.hints || []).map(hint => (
+      typeof hint === 'string'
+        ? { text: hint, cost: null }
+        : { text: hint.text, cost: typeof hint.cost === 'number' ? hint.cost : null }
+    ));
+  }
+
+  /**
+   * 游戏结束时分阶段揭晓的真相：先是 reveal 中的部分真相，最后是完整的汤底
+   * @param {Object} puzzle - 题目对象
+   * @returns {Array<string>} 各阶段的文字
+   */
+  getRevealStages(puzzle) {
+    if (!puzzle?.truth) {
+      return [];
+    }
+    return [...(puzzle.reveal || []), puzzle.truth];
+  }
+
   /**
    * 验证题目格式
    * @param {Object} puzzle - 题目对象
@@ -332,8 +443,19 @@ export class PuzzleManager {
       errors.push('tags must be an array');
     }
     
-    if (puzzle.hints && !Array.isArray(puzzle.hints)) {
-      errors.push('hints must be an array');
+    if (puzzle.hints && (!Array.isArray(puzzle.hints) ||
+        puzzle.hints.some(hint => typeof hint !== 'string' && !hint?.text))) {
+      errors.push('hints must be an array of strings or { text, cost }');
+    }
+    
+    if (puzzle.reveal && (!Array.isArray(puzzle.reveal) ||
+        puzzle.reveal.some(stage => typeof stage !== 'string' || !stage))) {
+      errors.push('reveal must be an array of strings');
+    }
+    
+    if (puzzle.keyFacts && (!Array.isArray(puzzle.keyFacts) ||
+        puzzle.keyFacts.some(fact => !fact?.id || !fact?.statement))) {
+      errors.push('keyFacts must be an array of { id, statement }');
     }
 
     // 难度值检查
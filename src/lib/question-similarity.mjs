@@ -0,0 +1,104 @@
+/**
+ * 问题相似度：判断玩家是否换了个说法重复提问
+ *
+ * 先规范化（去掉空白、标点、语气词和常见的客套/虚词），再比较相邻两字的重合程度（Dice 系数）。
+ * 肯定和否定问法（"是……吗"与"不是……吗"）不算重复，因为同一个回答对两者的含义相反
+ */
+
+/**
+ * 正反问法换成肯定问法（"有没有家人"即"有家人"），避免其中的否定词被当成否定
+ */
+const A_NOT_A_PATTERN = /(是|有|会|能|要|在)[不没]\1/g;
+
+/**
+ * 不影响问题含义的词，规范化时去掉
+ */
+const FILLER_WORDS = ['请问', '主持人', '是否', '难道', '一下', '的', '了', '吗', '呢', '吧', '啊', '呀', '嘛', '哦'];
+
+/**
+ * 否定词
+ */
+const NEGATION_PATTERN = /[不没非无别未]/g;
+
+/**
+ * 规范化问题：小写，去掉空白、标点和虚词
+ * @param {string} question - 问题
+ * @returns {string} 规范化后的问题
+ */
+export function normalizeQuestion(question) {
+  let text = (question || '')
+    .toLowerCase()
+    .replace(/[\s\p{P}\p{S}]/gu, '')
+    .replace(A_NOT_A_PATTERN, '$1');
+  for (const word of FILLER_WORDS) {
+    text = text.split(word).join('');
+  }
+  return text;
+}
+
+/**
+ * @param {string} text - 已规范化的文本
+ * @returns {Set<string>} 相邻两字，只有一个字时为这个字本身
+ */
+function charBigrams(text) {
+  if (text.length < 2) {
+    return new Set(text ? [text] : []);
+  }
+  const result = new Set();
+  for (let i = 0; i < text.length - 1; i++) {
+    result.add(text.slice(i, i + 2));
+  }
+  return result;
+}
+
+/**
+ * @param {string} text - 已规范化的文本
+ * @returns {boolean} 否定词是否为奇数个（"不是"为否定，"不是不"又回到肯定）
+ */
+function isNegated(text) {
+  return (text.match(NEGATION_PATTERN) || []).length % 2 === 1;
+}
+
+/**
+ * 计算两个问题的相似度
+ * @param {string} a - 问题
+ * @param {string} b - 问题
+ * @returns {number} 0-1，肯定和否定问法之间为 0
+ */
+export function questionSimilarity(a, b) {
+  const left = normalizeQuestion(a);
+  const right = normalizeQuestion(b);
+
+  if (!left || !right) {
+    return 0;
+  }
+  if (left === right) {
+    return 1;
+  }
+  if (isNegated(left) !== isNegated(right)) {
+    return 0;
+  }
+
+  const leftBigrams = charBigrams(left);
+  const rightBigrams = charBigrams(right);
+  const shared = [...leftBigrams].filter(bigram => rightBigrams.has(bigram)).length;
+  return 2 * shared / (leftBigrams.size + rightBigrams.size);
+}
+
+/**
+ * 在问答记录中找出与问题最相似、且达到阈值的一条
+ * @param {string} question - 当前问题
+ * @param {Array} history - 问答记录，每条带有 question 字段
+ * @param {number} threshold - 相似度阈值 (0-1)
+ * @returns {Object|null} { item, similarity }，没有达到阈值的记录时返回 null
+ */
+export function findSimilarQuestion(question, history, threshold) {
+  let best = null;
+  for (const item of history) {
+    const similarity = questionSimilarity(question, item.question);
+    if (similarity >= threshold && (!best || similarity > best.similarity)) {
+      best = { item: item, similarity: similarity };
+    }
+  }
+  return best;
+}
@@ -0,0 +1,179 @@
+/**
+ * LLM 结构化输出的 JSON Schema
+ *
+ * 提示词中的答案选项和格式说明、请求中的结构化输出参数以及回答的校验都以这里为准
+ */
+
+/**
+ * 海龟汤主持人可以给出的答案
+ */
+export const ANSWER_OPTIONS = ['是', '不是', '是也不是', '没有关系'];
+
+/**
+ * 回答玩家问题
+ */
+export const ANSWER_SCHEMA = {
+  name: 'turtle_soup_answer',
+  schema: {
+    type: 'object',
+    properties: {
+      answer: {
+        type: 'string',
+        enum: ANSWER_OPTIONS,
+        description: `只能是${ANSWER_OPTIONS.map(option => `"${option}"`).join('、')}中的一个`
+      },
+      score: {
+        type: 'number',
+        minimum: 1,
+        maximum: 10,
+        description: '1-10的整数，表示问题质量评分'
+      },
+      feedback: {
+        type: 'string',
+        description: '对问题的简短评价，不超过50字'
+      },
+      progress: {
+        type: 'number',
+        minimum: 0,
+        maximum: 100,
+        description: '0-100的整数，表示玩家接近真相的程度'
+      },
+      hint: {
+        type: ['string', 'null'],
+        description: '可选，当进度超过70时给出提示，不超过30字'
+      },
+      facts: {
+        type: 'array',
+        items: { type: 'string' },
+        description: '本问题确认的关键事实id数组，没有则为空数组'
+      }
+    },
+    required: ['answer', 'score', 'feedback', 'progress']
+  }
+};
+
+/**
+ * 判定玩家提交的最终答案
+ */
+export const JUDGEMENT_SCHEMA = {
+  name: 'final_answer_judgement',
+  schema: {
+    type: 'object',
+    properties: {
+      verdict: {
+        type: 'string',
+        enum: ['correct', 'partial', 'wrong'],
+        description: 'correct：还原了真相；partial：方向正确但不完整；wrong：与真相不符'
+      },
+      missing: {
+        type: 'array',
+        items: { type: 'string' },
+        description: '尚未解释的关键情节，不要直接写出汤底内容'
+      },
+      feedback: {
+        type: 'string',
+        description: '对推理的简短评价，不超过50字'
+      }
+    },
+    required: ['verdict', 'missing', 'feedback']
+  }
+};
+
+/**
+ * 复核主持人的回答
+ */
+export const VERIFICATION_SCHEMA = {
+  name: 'answer_verification',
+  schema: {
+    type: 'object',
+    properties: {
+      consistent: {
+        type: 'boolean',
+        description: '回答是否符合汤底且与此前的回答一致'
+      },
+      correctedAnswer: {
+        type: ['string', 'null'],
+        enum: [...ANSWER_OPTIONS, null],
+        description: '回答有误时填写正确的回答，否则为 null'
+      },
+      reason: {
+        type: 'string',
+        description: '简短说明，不超过50字'
+      }
+    },
+    required: ['consistent', 'correctedAnswer', 'reason']
+  }
+};
+
+/**
+ * 按 schema 校验数据。只支持上面用到的关键字：type、enum、minimum、maximum、properties、required、items
+ * @param {any} value - 待校验的数据
+ * @param {Object} schema - JSON Schema
+ * @param {string} path - 当前字段路径（用于错误信息）
+ * @returns {Array<string>} 错误信息，可直接发回给模型修正
+ */
+export function validateAgainstSchema(value, schema, path = '') {
+  const label = path || '回答';
+  const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+
+  if (schema.type && !types.some(type => matchesType(value, type))) {
+    return [`${label} 的类型应为 ${types.join(' 或 ')}`];
+  }
+
+  const errors = [];
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push(`${label} 只能是 ${schema.enum.map(option => JSON.stringify(option)).join('、')} 之一，实际为 ${JSON.stringify(value)}`);
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      errors.push(`${label} 不能小于 ${schema.minimum}`);
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      errors.push(`${label} 不能大于 ${schema.maximum}`);
+    }
+  }
+
+  if (matchesType(value, 'object')) {
+    (schema.required || []).forEach(key => {
+      if (value[key] === undefined) {
+        errors.push(`缺少字段 ${path ? `${path}.` : ''}${key}`);
+      }
+    });
+
+    Object.entries(schema.properties || {}).forEach(([key, propertySchema]) => {
+      if (value[key] !== undefined) {
+        errors.push(...validateAgainstSchema(value[key], propertySchema, path ? `${path}.${key}` : key));
+      }
+    });
+  }
+
+  if (Array.isArray(value) && schema.items) {
+    value.forEach((item, index) => {
+      errors.push(...validateAgainstSchema(item, schema.items, `${label}[${index}]`));
+    });
+  }
+
+  return errors;
+}
+
+/**
+ * @param {any} value
+ * @param {string} type - JSON Schema 类型名
+ * @returns {boolean}
+ */
+function matchesType(value, type) {
+  switch (type) {
+    case 'object':
+      return value !== null && typeof value === 'object' && !Array.isArray(value);
+    case 'array':
+      return Array.isArray(value);
+    case 'null':
+      return value === null;
+    case 'integer':
+      return Number.isInteger(value);
+    default:
+      return typeof value === type;
+  }
+}
@@ -177,6 +177,53 @@ export function safeString(value, maxLength = 1000, defaultValue = '') {
   return value.length > maxLength ? value.slice(0, maxLength) : value;
 }
 
+/**
+ * 粗略估算文本的token数：中日韩字符按每字1个token，其余按每4个字符1个token
+ * @param {string} text - 文本
+ * @returns {number} 估算的token数
+ */
+export function estimateTokens(text) {
+  if (!text) {
+    return 0;
+  }
+  const cjkCount = (text.match(/[\u3000-\u9fff\uff00-\uffef]/g) || []).length;
+  return cjkCount + Math.ceil((text.length - cjkCount) / 4);
+}
+
+/**
+ * 累加LLM用量
+ * @param {Object|null} totals - 已有的合计 { requests, promptTokens, completionTokens, totalTokens, cost }
+ * @param {Object} usage - 一次或多次请求的用量，字段同上（requests 缺省为1）
+ * @returns {Object} 新的合计
+ */
+export function addUsage(totals, usage) {
+  const base = totals || { requests: 0, promptTokens: 0, completionTokens: 0, totalTokens: 0, cost: 0 };
+  return {
+    requests: base.requests + (usage.requests ?? 1),
+    promptTokens: base.promptTokens + (usage.promptTokens || 0),
+    completionTokens: base.completionTokens + (usage.completionTokens || 0),
+    totalTokens: base.totalTokens + (usage.totalTokens || 0),
+    // 避免浮点误差在长期累加后变得显眼
+    cost: Math.round((base.cost + (usage.cost || 0)) * 1e6) / 1e6
+  };
+}
+
+/**
+ * 创建可复现的伪随机数生成器（mulberry32），用法同 Math.random
+ * @param {number} seed - 随机种子
+ * @returns {Function} 返回 [0, 1) 之间随机数的函数
+ */
+export function createSeededRandom(seed) {
+  let state = seed >>> 0;
+  return function random() {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
 /**
  * 生成随机ID
  * @param {number} length - ID长度
@@ -0,0 +1,81 @@
+import { test, before } from 'node:test';
+import assert from 'node:assert/strict';
+import { createAnswerCache, createDurableCacheStore } from '../src/lib/answer-cache.mjs';
+import { createMemoryStorage, silenceLogs } from './helpers.mjs';
+
+const puzzle = {
+  id: 'classic_003',
+  truth: '她是一个杂技演员，靠走钢丝为生。',
+  keyFacts: [{ id: 'acrobat' }]
+};
+const response = { answer: '是', score: 8, feedback: '关键问题', progress: 40, facts: ['acrobat'], newFacts: ['acrobat'] };
+
+before(() => {
+  silenceLogs();
+});
+
+test('returns the cached answer for a rephrased question', async () => {
+  const cache = createAnswerCache(createDurableCacheStore(createMemoryStorage()), { ttl: 60 });
+  await cache.set(puzzle, '她是杂技演员吗？', response);
+
+  const cached = await cache.get(puzzle, '她是杂技演员吗');
+  assert.deepEqual(cached, { answer: '是', score: 8, feedback: '关键问题', progress: 40, facts: ['acrobat'] });
+  assert.equal(await cache.get(puzzle, '她是演员吗'), null);
+});
+
+test('misses after the truth changes', async () => {
+  const cache = createAnswerCache(createDurableCacheStore(createMemoryStorage()));
+  await cache.set(puzzle, '她是杂技演员吗', response);
+  assert.equal(await cache.get({ ...puzzle, truth: '她是一个魔术师。' }, '她是杂技演员吗'), null);
+});
+
+test('drops expired entries on read', async () => {
+  const storage = createMemoryStorage();
+  const cache = createAnswerCache(createDurableCacheStore(storage), { ttl: 60 });
+  await cache.set(puzzle, '她是杂技演员吗', response);
+  const [key, entry] = [...storage.map][0];
+  storage.map.set(key, { ...entry, expiresAt: Date.now() - 1 });
+
+  assert.equal(await cache.get(puzzle, '她是杂技演员吗'), null);
+  assert.equal(storage.map.size, 0);
+});
+
+test('treats store failures as a miss', async () => {
+  const failing = { get: async () => { throw new Error('down'); }, put: async () => { throw new Error('down'); }, delete: async () => {} };
+  const cache = createAnswerCache(failing);
+  await cache.set(puzzle, '她是杂技演员吗', response);
+  assert.equal(await cache.get(puzzle, '她是杂技演员吗'), null);
+});
+
+test('sweeps expired entries and the oldest entries over the limit', async () => {
+  const storage = createMemoryStorage();
+  const cache = createAnswerCache(createDurableCacheStore(storage), { ttl: 60, maxEntries: 2 });
+  for (const question of ['她是杂技演员吗', '镜子碎了吗', '她练习了吗', '她害怕吗']) {
+    await cache.set(puzzle, question, response);
+  }
+  const keys = [...storage.map.keys()];
+  keys.forEach((key, index) => storage.map.set(key, { ...storage.map.get(key), cachedAt: index }));
+  storage.map.set(keys[3], { ...storage.map.get(keys[3]), expiresAt: Date.now() - 1 });
+
+  assert.deepEqual(await cache.sweep(), { removed: 2, remaining: 2 });
+  assert.deepEqual([...storage.map.keys()], [keys[1], keys[2]]);
+});
+
+test('keeps keys of long questions within the KV key limit', async () => {
+  const cache = createAnswerCache(createDurableCacheStore(createMemoryStorage()));
+  const question = `她${'在家里对着镜子练习走钢丝的动作'.repeat(12)}吗？`;
+  const key = cache.buildKey(puzzle, question);
+
+  assert.ok(new TextEncoder().encode(key).length <= 512);
+  assert.notEqual(key, cache.buildKey(puzzle, `${question}还是在剧场里练习？`));
+});
+
+test('misses when a different question shares the key', async () => {
+  const storage = createMemoryStorage();
+  const cache = createAnswerCache(createDurableCacheStore(storage));
+  await cache.set(puzzle, '她是杂技演员吗', response);
+  const [key, entry] = [...storage.map][0];
+  storage.map.set(key, { ...entry, question: '镜子碎了' });
+
+  assert.equal(await cache.get(puzzle, '她是杂技演员吗'), null);
+});
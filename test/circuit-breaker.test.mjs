@@ -0,0 +1,57 @@
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { createCircuitBreaker, CircuitState } from '../src/lib/circuit-breaker.mjs';
+import { silenceLogs } from './helpers.mjs';
+
+let now;
+const realNow = Date.now;
+
+beforeEach(() => {
+  silenceLogs();
+  now = 1000;
+  Date.now = () => now;
+});
+
+afterEach(() => {
+  Date.now = realNow;
+});
+
+test('opens after the failure threshold', () => {
+  const breaker = createCircuitBreaker('primary', { failureThreshold: 2, cooldown: 500 });
+  breaker.recordFailure();
+  assert.equal(breaker.canRequest(), true);
+  breaker.recordFailure();
+  assert.equal(breaker.state, CircuitState.OPEN);
+  assert.equal(breaker.canRequest(), false);
+});
+
+test('lets one probe through after the cooldown', () => {
+  const breaker = createCircuitBreaker('primary', { failureThreshold: 1, cooldown: 500 });
+  breaker.recordFailure();
+  now += 500;
+  assert.equal(breaker.canRequest(), true);
+  assert.equal(breaker.state, CircuitState.HALF_OPEN);
+  assert.equal(breaker.canRequest(), false);
+});
+
+test('closes when the probe succeeds and reopens when it fails', () => {
+  const breaker = createCircuitBreaker('primary', { failureThreshold: 3, cooldown: 500 });
+  breaker.recordFailure();
+  breaker.recordFailure();
+  breaker.recordFailure();
+
+  now += 500;
+  breaker.canRequest();
+  breaker.recordSuccess();
+  assert.deepEqual(breaker.getStatus(), { name: 'primary', state: CircuitState.CLOSED, failures: 0, openedAt: null });
+
+  breaker.recordFailure();
+  assert.equal(breaker.state, CircuitState.CLOSED);
+  breaker.recordFailure();
+  breaker.recordFailure();
+  now += 500;
+  breaker.canRequest();
+  breaker.recordFailure();
+  assert.equal(breaker.state, CircuitState.OPEN);
+  assert.equal(breaker.openedAt, now);
+});
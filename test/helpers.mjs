@@ -0,0 +1,39 @@
+/**
+ * 测试共用的工具：读取夹具、内存存储、关闭日志
+ */
+
+import { readFileSync } from 'node:fs';
+
+/**
+ * 读取 test/fixtures 下的夹具
+ * @param {string} name - 文件名（不含 .json）
+ * @returns {Object} 夹具
+ */
+export function loadFixture(name) {
+  return JSON.parse(readFileSync(new URL(`./fixtures/${name}.json`, import.meta.url), 'utf8'));
+}
+
+/**
+ * 与 Durable Object 存储接口相同的内存存储
+ * @returns {Object} { map, get, put, delete, list }
+ */
+export function createMemoryStorage() {
+  const map = new Map();
+  return {
+    map: map,
+    get: async (key) => map.get(key),
+    put: async (key, value) => { map.set(key, value); },
+    delete: async (key) => map.delete(key),
+    list: async ({ prefix = '' } = {}) => new Map([...map].filter(([key]) => key.startsWith(prefix)))
+  };
+}
+
+/**
+ * 关闭被测模块的日志输出，只保留测试结果
+ */
+export function silenceLogs() {
+  console.log = () => {};
+  console.info = () => {};
+  console.warn = () => {};
+  console.error = () => {};
+}
@@ -0,0 +1,61 @@
+import { test, before } from 'node:test';
+import assert from 'node:assert/strict';
+import { createAIHost } from '../src/lib/ai-host.mjs';
+import { silenceLogs } from './helpers.mjs';
+
+const QUESTIONS = ['她住在城市里吗？', '那天下雨了吗？', '她有家人吗？', '镜子是别人打碎的吗？', '她养宠物吗？'];
+
+before(() => {
+  silenceLogs();
+});
+
+/**
+ * @returns {AIHost} 每次回答都确认全部关键事实、并且一开始就超过自动提示阈值的主持人
+ */
+async function startHintGame() {
+  const facts = ['acrobat', 'mirror_practice', 'cannot_see', 'fatal_risk', 'chose_suicide'];
+  const host = createAIHost({
+    LLM_PROVIDER: 'scripted',
+    LLM_SCRIPT: JSON.stringify({ rules: [{ type: 'answer', response: { answer: '是', score: 6, feedback: '方向正确', progress: 90, facts: facts } }] }),
+    LLM_MOCK_SEED: '1',
+    GAME_AUTO_HINT_THRESHOLD: '1',
+    GAME_HINT_FREQUENCY: '1'
+  });
+  await host.startGame('classic_003');
+  return host;
+}
+
+test('auto hints past the threshold do not use up the paid hint ladder', async () => {
+  const host = await startHintGame();
+  const before = host.getHintStatus();
+
+  const hints = [];
+  for (const question of QUESTIONS) {
+    const result = await host.processQuestion(question, 'alice');
+    assert.equal(result.success, true);
+    hints.push(result.data.response.hint);
+  }
+
+  // 第一个问题之前还没有达到阈值
+  assert.deepEqual(hints.slice(1), QUESTIONS.slice(1).map(() => '注意观察细节，从不同角度思考'));
+
+  assert.equal(host.getGameState().questionCount, QUESTIONS.length);
+  assert.deepEqual(host.getHintStatus(), before);
+});
+
+test('auto hints only repeat the last hint bought', async () => {
+  const host = await startHintGame();
+  const bought = host.buyHint('alice');
+  assert.equal(bought.success, true);
+  const after = host.getHintStatus();
+
+  const hints = [];
+  for (const question of QUESTIONS) {
+    hints.push((await host.processQuestion(question, 'bob')).data.response.hint);
+  }
+
+  assert.deepEqual(hints.slice(1), QUESTIONS.slice(1).map(() => bought.data.hint));
+
+  assert.deepEqual(host.getHintStatus(), after);
+  assert.equal(after.remaining, after.total - 1);
+});
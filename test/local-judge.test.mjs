@@ -0,0 +1,40 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createLocalJudge } from '../src/lib/local-judge.mjs';
+
+const puzzle = {
+  truth: '她是一个杂技演员，靠走钢丝为生。镜子碎了意味着她看不到自己的动作。',
+  keywords: ['杂技', '钢丝', '镜子']
+};
+
+test('answers yes when the question hits a keyword', () => {
+  const result = createLocalJudge().judge(puzzle, '她是杂技演员吗？');
+  assert.equal(result.answer, '是');
+  assert.ok(result.score >= 4);
+  assert.match(result.formatted, /^是（/);
+});
+
+test('answers no to a negated question the truth does not negate', () => {
+  assert.equal(createLocalJudge().judge(puzzle, '她不是杂技演员吗？').answer, '不是');
+});
+
+test('keeps yes when the truth contains the same negated phrase', () => {
+  assert.equal(createLocalJudge().judge(puzzle, '她看不到自己的动作吗？').answer, '是');
+});
+
+test('answers unrelated questions with 没有关系', () => {
+  const result = createLocalJudge().judge(puzzle, '那天下雨了吗？');
+  assert.equal(result.answer, '没有关系');
+  assert.equal(result.feedback, '偏离方向');
+});
+
+test('asks for a concrete question when only filler is left', () => {
+  const result = createLocalJudge().judge(puzzle, '是不是？');
+  assert.equal(result.answer, '没有关系');
+  assert.equal(result.score, 1);
+});
+
+test('gives the same result for the same question', () => {
+  const judge = createLocalJudge();
+  assert.deepEqual(judge.judge(puzzle, '镜子碎了吗'), judge.judge(puzzle, '镜子碎了吗'));
+});
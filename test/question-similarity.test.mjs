@@ -0,0 +1,35 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { normalizeQuestion, questionSimilarity, findSimilarQuestion } from '../src/lib/question-similarity.mjs';
+
+test('normalizes punctuation, case and filler words', () => {
+  assert.equal(normalizeQuestion(' 她是 杂技演员吗？'), normalizeQuestion('她是杂技演员吗'));
+  assert.equal(normalizeQuestion('Is IT a Mirror?'), normalizeQuestion('is it a mirror'));
+  assert.equal(normalizeQuestion(''), '');
+});
+
+test('treats rephrasings of the same question as identical', () => {
+  assert.equal(questionSimilarity('她是杂技演员吗？', '她是杂技演员吗'), 1);
+  assert.ok(questionSimilarity('她是不是杂技演员', '她是杂技演员吗') >= 0.8);
+});
+
+test('never matches a question with its negation', () => {
+  assert.equal(questionSimilarity('她是杂技演员吗', '她不是杂技演员吗'), 0);
+});
+
+test('scores unrelated questions low', () => {
+  assert.ok(questionSimilarity('她是杂技演员吗', '那天下雨了吗') < 0.3);
+  assert.equal(questionSimilarity('', '她是杂技演员吗'), 0);
+});
+
+test('finds the most similar earlier question above the threshold', () => {
+  const history = [
+    { question: '那天下雨了吗' },
+    { question: '她是杂技演员吗' },
+    { question: '她是演员吗' }
+  ];
+  const found = findSimilarQuestion('她是杂技演员吗？', history, 0.8);
+  assert.equal(found.item, history[1]);
+  assert.equal(found.similarity, 1);
+  assert.equal(findSimilarQuestion('镜子是谁打碎的', history, 0.8), null);
+});
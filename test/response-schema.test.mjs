@@ -0,0 +1,26 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { ANSWER_OPTIONS, ANSWER_SCHEMA, JUDGEMENT_SCHEMA, validateAgainstSchema } from '../src/lib/response-schema.mjs';
+
+test('accepts a valid answer', () => {
+  const answer = { answer: ANSWER_OPTIONS[0], score: 8, feedback: '关键问题', progress: 40 };
+  assert.deepEqual(validateAgainstSchema(answer, ANSWER_SCHEMA.schema), []);
+});
+
+test('reports every problem with field paths', () => {
+  const errors = validateAgainstSchema({ answer: '也许', score: 11, feedback: 3 }, ANSWER_SCHEMA.schema);
+  assert.ok(errors.some(error => error.startsWith('answer 只能是')));
+  assert.ok(errors.some(error => error === 'score 不能大于 10'));
+  assert.ok(errors.some(error => error.startsWith('feedback 的类型应为')));
+  assert.ok(errors.some(error => error === '缺少字段 progress'));
+});
+
+test('rejects values of the wrong top-level type', () => {
+  assert.deepEqual(validateAgainstSchema('是', ANSWER_SCHEMA.schema), ['回答 的类型应为 object']);
+  assert.deepEqual(validateAgainstSchema(null, ANSWER_SCHEMA.schema), ['回答 的类型应为 object']);
+});
+
+test('validates array items', () => {
+  const judgement = { verdict: 'partial', missing: ['她的职业', 3], feedback: '还差一点' };
+  assert.deepEqual(validateAgainstSchema(judgement, JUDGEMENT_SCHEMA.schema), ['missing[1] 的类型应为 string']);
+});